@@ -5,13 +5,33 @@
 
 import { promises as fs } from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import { logger, generateId, getTimestamp, copyFile, fileExists } from './utils.js';
+import {
+  logger,
+  generateId,
+  getTimestamp,
+  copyFile,
+  writeFileAtomic,
+  withFileLock,
+  fileExists,
+  diffLines,
+  listContentImages,
+  isRemoteUrl
+} from './utils.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Article lifecycle: generated articles start as drafts (see drafts-manager.js),
+ * and only published ones are shown on the site (once their publishAt, if
+ * any, has passed)
+ */
+export const ARTICLE_STATUSES = ['draft', 'published', 'rejected'];
+
 let settings = null;
+const loadedHashes = new WeakMap(); // Data object -> hash of the file it was read from
 
 /**
  * Load settings from config file
@@ -32,7 +52,7 @@ async function loadSettings() {
  */
 async function getArticlesPath() {
   const config = await loadSettings();
-  return path.resolve(__dirname, config.articlesJsonPath);
+  return path.resolve(__dirname, '..', config.articlesJsonPath);
 }
 
 /**
@@ -41,7 +61,32 @@ async function getArticlesPath() {
  */
 async function getBackupPath() {
   const config = await loadSettings();
-  return path.resolve(__dirname, config.backupFolder);
+  return path.resolve(__dirname, '..', config.backupFolder);
+}
+
+/**
+ * Hash file content for change detection
+ * @param {string} content - File content
+ * @returns {string} SHA-256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Run a function while holding the articles.json lock file
+ * The lock is shared by every mutation, in this and other processes.
+ * @param {Function} fn - Async function to run under the lock
+ * @returns {Promise<any>} Result of fn
+ */
+export async function withArticlesLock(fn) {
+  const config = await loadSettings();
+  const lockPath = `${await getArticlesPath()}.lock`;
+
+  return withFileLock(lockPath, fn, {
+    timeoutMs: config.lockTimeoutMs,
+    staleMs: config.lockStaleMs
+  });
 }
 
 /**
@@ -54,6 +99,9 @@ export async function readArticles() {
     const content = await fs.readFile(articlesPath, 'utf8');
     const data = JSON.parse(content);
 
+    // Remember what was read so writeArticles can detect changes made in between
+    loadedHashes.set(data, hashContent(content));
+
     logger.debug(`Read articles.json: ${data.posts.length} articles found`);
     return data;
   } catch (error) {
@@ -63,24 +111,41 @@ export async function readArticles() {
 }
 
 /**
- * Write articles.json file
+ * Write articles.json file (atomically, under the articles lock)
+ * If data came from readArticles and the file has changed on disk since,
+ * the write is refused rather than overwriting someone else's edit.
  * @param {Object} data - Articles data
  */
 export async function writeArticles(data) {
   try {
-    const articlesPath = await getArticlesPath();
+    await withArticlesLock(async () => {
+      const articlesPath = await getArticlesPath();
+
+      const expectedHash = loadedHashes.get(data);
+      if (expectedHash) {
+        const currentHash = hashContent(await fs.readFile(articlesPath, 'utf8'));
+        if (currentHash !== expectedHash) {
+          const conflict = new Error('articles.json changed on disk since it was read; re-run to apply the change to the latest version');
+          conflict.code = 'ECONFLICT';
+          throw conflict;
+        }
+      }
 
-    // Pretty-print with 2-space indentation
-    const content = JSON.stringify(data, null, 2);
+      // Pretty-print with 2-space indentation
+      const content = JSON.stringify(data, null, 2);
 
-    await fs.writeFile(articlesPath, content, 'utf8');
-    logger.info(`Successfully wrote articles.json (${data.posts.length} articles)`);
+      await writeFileAtomic(articlesPath, content);
+      loadedHashes.set(data, hashContent(content));
+      logger.info(`Successfully wrote articles.json (${data.posts.length} articles)`);
 
-    // Verify the write succeeded
-    await verifyIntegrity();
+      // Verify the write succeeded
+      await verifyIntegrity();
+    });
   } catch (error) {
     logger.error(`Failed to write articles.json: ${error.message}`);
-    throw new Error(`Failed to write articles.json: ${error.message}`);
+    const wrapped = new Error(`Failed to write articles.json: ${error.message}`);
+    wrapped.code = error.code;
+    throw wrapped;
   }
 }
 
@@ -121,6 +186,30 @@ export async function getNextArticleId() {
   }
 }
 
+/**
+ * Check the shape of an image credit
+ * @param {Object} credit - Credit { author, authorUrl?, source?, sourceUrl, license, licenseUrl? }
+ * @returns {boolean} True if it has an author, sourceUrl and license, and every link starts with http
+ */
+export function isValidImageCredit(credit) {
+  return Boolean(credit) &&
+    ['author', 'sourceUrl', 'license'].every(field => typeof credit[field] === 'string' && credit[field].trim()) &&
+    ['authorUrl', 'sourceUrl', 'licenseUrl'].every(field => !(field in credit) || /^https?:\/\//.test(credit[field]));
+}
+
+/**
+ * Find remote images in article content that carry no credit
+ * An inline image from another host needs to be in a <figure> whose caption
+ * has a figure-credit line, as figures.js builds them.
+ * @param {string} content - Article HTML
+ * @returns {string[]} Image URLs (src and srcset) without a credit
+ */
+function uncreditedContentImages(content) {
+  return listContentImages(content)
+    .filter(image => !image.credited)
+    .flatMap(image => image.urls.filter(isRemoteUrl));
+}
+
 /**
  * Validate article structure
  * @param {Object} article - Article object to validate
@@ -175,12 +264,205 @@ export async function validateArticleStructure(article) {
     errors.push('Image must be a URL starting with http or a local path starting with /');
   }
 
+  if ('imageSizes' in article && (!Array.isArray(article.imageSizes) ||
+      article.imageSizes.some(size => !size || !Number.isInteger(size.width) || size.width <= 0 ||
+        typeof size.src !== 'string' || !(size.src.startsWith('http') || size.src.startsWith('/'))))) {
+    errors.push('Image sizes must be an array of { width, src } with a whole-pixel width and a URL or local path');
+  }
+
+  if ('imageAlt' in article && (typeof article.imageAlt !== 'string' || !article.imageAlt.trim())) {
+    errors.push('Image alt text must be a non-empty string');
+  }
+
+  if ('imageCredit' in article && !isValidImageCredit(article.imageCredit)) {
+    errors.push('Image credit must have an author, sourceUrl and license (links must start with http)');
+  }
+
+  // Images not served by the site need a credit
+  if (typeof article.image === 'string' && !article.image.startsWith('/') && !('imageCredit' in article)) {
+    errors.push(`Image credit (imageCredit) required for non-local image: ${article.image}`);
+  }
+
+  uncreditedContentImages(article.content).forEach(src => {
+    errors.push(`Content image from another site needs a <figure> with a figure-credit caption: ${src}`);
+  });
+
+  if ('episode' in article && !(Number.isInteger(article.episode) && article.episode > 0)) {
+    errors.push('Episode must be a positive whole number');
+  }
+
+  ['hosts', 'guests'].forEach(field => {
+    if (field in article && (!Array.isArray(article[field]) || article[field].length === 0 ||
+        article[field].some(name => typeof name !== 'string' || !name.trim()))) {
+      errors.push(`${field.charAt(0).toUpperCase()}${field.slice(1)} must be a non-empty array of names`);
+    }
+  });
+
+  if ('recordingDate' in article && !/^\d{4}-\d{2}-\d{2}$/.test(article.recordingDate)) {
+    errors.push('Recording date must be in YYYY-MM-DD format');
+  }
+
+  if ('videoId' in article && !/^[\w-]{11}$/.test(article.videoId)) {
+    errors.push('videoId must be an 11-character YouTube video ID');
+  }
+
+  if ('sections' in article && (!Array.isArray(article.sections) ||
+      article.sections.some(s => !s || typeof s.heading !== 'string' || !s.heading.trim() ||
+        !Number.isInteger(s.start) || s.start < 0))) {
+    errors.push('Sections must be an array of { heading, start } with start in whole seconds');
+  }
+
+  if ('sections' in article && !('videoId' in article)) {
+    errors.push('Sections need a videoId to jump to');
+  }
+
+  if ('publishAt' in article && (typeof article.publishAt !== 'string' || isNaN(Date.parse(article.publishAt)))) {
+    errors.push('publishAt must be an ISO date/time (e.g., "2026-11-01T09:00:00.000Z")');
+  }
+
+  if ('status' in article && !ARTICLE_STATUSES.includes(article.status)) {
+    errors.push(`Status must be one of: ${ARTICLE_STATUSES.join(', ')}`);
+  }
+
   return {
     valid: errors.length === 0,
     errors
   };
 }
 
+/**
+ * List backup files on disk
+ * @returns {Promise<Object[]>} [{ name, path, timestamp }], newest first
+ */
+async function getBackupFiles() {
+  const backupFolder = await getBackupPath();
+
+  if (!(await fileExists(backupFolder))) {
+    return [];
+  }
+
+  const files = await fs.readdir(backupFolder);
+  return files
+    .filter(f => f.startsWith('articles.backup.') && f.endsWith('.json'))
+    .map(f => ({
+      name: f,
+      path: path.join(backupFolder, f),
+      timestamp: f.replace('articles.backup.', '').replace('.json', '')
+    }))
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp)); // Newest first
+}
+
+/**
+ * Convert a backup timestamp (YYYYMMDD-HHMMSS[-N]) to a Date
+ * @param {string} timestamp - Backup timestamp
+ * @returns {Date|null} Local date, or null if unparseable
+ */
+function parseBackupTimestamp(timestamp) {
+  const match = timestamp.match(/^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+}
+
+/**
+ * Find a backup by filename or timestamp
+ * Timestamps may be given in any punctuation ("20260301-1200", "2026-03-01 12:00")
+ * and match as a prefix; ambiguous prefixes are rejected.
+ * @param {string} [ref] - Backup name or timestamp (newest backup if omitted)
+ * @returns {Promise<Object>} { name, path, timestamp }
+ */
+export async function findBackup(ref) {
+  const backupFiles = await getBackupFiles();
+
+  if (backupFiles.length === 0) {
+    throw new Error('No backups found');
+  }
+
+  if (!ref) {
+    return backupFiles[0];
+  }
+
+  const exact = backupFiles.find(f => f.name === ref || f.timestamp === ref);
+  if (exact) {
+    return exact;
+  }
+
+  const digits = ref.replace(/\D/g, '');
+  const matches = digits
+    ? backupFiles.filter(f => f.timestamp.replace(/\D/g, '').startsWith(digits))
+    : [];
+
+  if (matches.length === 0) {
+    throw new Error(`Backup not found: ${ref}`);
+  }
+
+  if (matches.length > 1) {
+    throw new Error(`"${ref}" matches ${matches.length} backups: ${matches.map(f => f.name).join(', ')}`);
+  }
+
+  return matches[0];
+}
+
+/**
+ * List backups with their timestamps and post counts
+ * @returns {Promise<Object[]>} [{ name, timestamp, date, posts, size }], newest first
+ */
+export async function listBackups() {
+  const backupFiles = await getBackupFiles();
+
+  return Promise.all(backupFiles.map(async file => {
+    const content = await fs.readFile(file.path, 'utf8');
+
+    let posts = null;
+    try {
+      posts = JSON.parse(content).posts.length;
+    } catch {
+      // Corrupt backup - report it without a count
+    }
+
+    return {
+      name: file.name,
+      timestamp: file.timestamp,
+      date: parseBackupTimestamp(file.timestamp),
+      posts,
+      size: Buffer.byteLength(content)
+    };
+  }));
+}
+
+/**
+ * Compare a backup against the current articles.json
+ * @param {string} [ref] - Backup name or timestamp (newest backup if omitted)
+ * @returns {Promise<Object>} { backup, added, removed, changed, diff } - post IDs
+ *   added/removed/changed since the backup, and a line diff from backup to current
+ */
+export async function diffBackup(ref) {
+  const backup = await findBackup(ref);
+  const articlesPath = await getArticlesPath();
+
+  const backupContent = await fs.readFile(backup.path, 'utf8');
+  const currentContent = await fs.readFile(articlesPath, 'utf8');
+
+  const postsById = content => {
+    try {
+      return new Map(JSON.parse(content).posts.map(p => [p.id, JSON.stringify(p)]));
+    } catch {
+      return new Map();
+    }
+  };
+  const before = postsById(backupContent);
+  const after = postsById(currentContent);
+
+  return {
+    backup: backup.name,
+    added: [...after.keys()].filter(id => !before.has(id)),
+    removed: [...before.keys()].filter(id => !after.has(id)),
+    changed: [...after.keys()].filter(id => before.has(id) && before.get(id) !== after.get(id)),
+    diff: diffLines(backupContent, currentContent)
+  };
+}
+
 /**
  * Create a backup of articles.json
  * @returns {Promise<string>} Backup file path
@@ -193,9 +475,12 @@ export async function createBackup() {
     // Ensure backup folder exists
     await fs.mkdir(backupFolder, { recursive: true });
 
-    // Create backup filename with timestamp
+    // Create backup filename with timestamp (numbered if one already exists this second)
     const timestamp = getTimestamp();
-    const backupFilename = `articles.backup.${timestamp}.json`;
+    let backupFilename = `articles.backup.${timestamp}.json`;
+    for (let n = 1; await fileExists(path.join(backupFolder, backupFilename)); n++) {
+      backupFilename = `articles.backup.${timestamp}-${n}.json`;
+    }
     const backupPath = path.join(backupFolder, backupFilename);
 
     // Copy articles.json to backup
@@ -215,18 +500,7 @@ export async function createBackup() {
 export async function cleanOldBackups() {
   try {
     const config = await loadSettings();
-    const backupFolder = await getBackupPath();
-
-    // Get all backup files
-    const files = await fs.readdir(backupFolder);
-    const backupFiles = files
-      .filter(f => f.startsWith('articles.backup.') && f.endsWith('.json'))
-      .map(f => ({
-        name: f,
-        path: path.join(backupFolder, f),
-        timestamp: f.replace('articles.backup.', '').replace('.json', '')
-      }))
-      .sort((a, b) => b.timestamp.localeCompare(a.timestamp)); // Newest first
+    const backupFiles = await getBackupFiles();
 
     // Delete old backups
     if (backupFiles.length > config.maxBackups) {
@@ -234,7 +508,7 @@ export async function cleanOldBackups() {
 
       for (const file of toDelete) {
         await fs.unlink(file.path);
-        logger.debug(`Deleted old backup: ${file.name}`);
+        logger.info(`Deleted old backup: ${file.name}`);
       }
 
       logger.info(`Cleaned up ${toDelete.length} old backups (keeping ${config.maxBackups})`);
@@ -246,36 +520,33 @@ export async function cleanOldBackups() {
 }
 
 /**
- * Restore from most recent backup
+ * Restore from a backup (most recent unless a name or timestamp is given)
+ * The current articles.json is backed up first so the restore can be undone.
+ * @param {string} [ref] - Backup name or timestamp (e.g., "articles.backup.20260301-120000.json" or "20260301-1200")
+ * @param {Object} options - Restore options
+ * @param {boolean} options.snapshot - Back up the current file before restoring (default: true)
  * @returns {Promise<string>} Restored backup filename
  */
-export async function restoreFromBackup() {
+export async function restoreFromBackup(ref, options = {}) {
+  const { snapshot = true } = options;
+
   try {
     const articlesPath = await getArticlesPath();
-    const backupFolder = await getBackupPath();
+    const backup = await findBackup(ref);
 
-    // Get all backup files
-    const files = await fs.readdir(backupFolder);
-    const backupFiles = files
-      .filter(f => f.startsWith('articles.backup.') && f.endsWith('.json'))
-      .map(f => ({
-        name: f,
-        path: path.join(backupFolder, f),
-        timestamp: f.replace('articles.backup.', '').replace('.json', '')
-      }))
-      .sort((a, b) => b.timestamp.localeCompare(a.timestamp)); // Newest first
-
-    if (backupFiles.length === 0) {
-      throw new Error('No backups found');
-    }
-
-    const latestBackup = backupFiles[0];
+    await withArticlesLock(async () => {
+      // Keep the current state so this restore can itself be undone
+      if (snapshot && await fileExists(articlesPath)) {
+        const snapshotPath = await createBackup();
+        logger.info(`Saved current articles.json as ${path.basename(snapshotPath)} (restore it to undo)`);
+      }
 
-    // Restore from backup
-    await copyFile(latestBackup.path, articlesPath);
+      // Restore from backup
+      await writeFileAtomic(articlesPath, await fs.readFile(backup.path, 'utf8'));
+    });
 
-    logger.info(`Restored from backup: ${latestBackup.name}`);
-    return latestBackup.name;
+    logger.info(`Restored from backup: ${backup.name}`);
+    return backup.name;
   } catch (error) {
     logger.error(`Failed to restore from backup: ${error.message}`);
     throw error;
@@ -304,65 +575,234 @@ export async function verifyIntegrity() {
 }
 
 /**
- * Append a new article to articles.json
- * @param {Object} article - Article object
- * @returns {Promise<void>}
+ * Add an article to an in-memory articles.json object
+ * Renames the slug (timestamp suffix) if it collides with an existing post.
+ * @param {Object} data - Articles data (mutated)
+ * @param {Object} article - Article object (mutated)
  */
-export async function appendArticle(article) {
-  try {
-    // Validate article structure
-    const validation = await validateArticleStructure(article);
-    if (!validation.valid) {
-      throw new Error(`Article validation failed:\n${validation.errors.join('\n')}`);
-    }
+function applyAppend(data, article) {
+  const existingSlug = data.posts.find(p => p.slug === article.slug);
+  if (existingSlug) {
+    logger.warn(`Duplicate slug detected: ${article.slug}. Appending timestamp.`);
+    article.slug = `${article.slug}-${getTimestamp()}`;
+  }
 
-    // Create backup before modifying
-    await createBackup();
+  data.posts.push(article);
+}
 
-    // Read current articles
-    const data = await readArticles();
+/**
+ * Update an article in an in-memory articles.json object
+ * @param {Object} data - Articles data (mutated)
+ * @param {string} id - Article ID
+ * @param {Object} patch - Fields to change
+ * @returns {Promise<Object>} { article, changes: [{ field, from, to }] }
+ */
+async function applyUpdate(data, id, patch) {
+  const index = data.posts.findIndex(p => p.id === id);
+  if (index === -1) {
+    throw new Error(`Article not found: ${id}`);
+  }
 
-    // Check for duplicate slug
-    const existingSlug = data.posts.find(p => p.slug === article.slug);
-    if (existingSlug) {
-      logger.warn(`Duplicate slug detected: ${article.slug}. Appending timestamp.`);
-      article.slug = `${article.slug}-${getTimestamp()}`;
-    }
+  const current = data.posts[index];
+  const updated = { ...current, ...patch, id };
+  Object.keys(patch).filter(field => patch[field] === undefined).forEach(field => delete updated[field]);
 
-    // Append new article
-    data.posts.push(article);
+  const validation = await validateArticleStructure(updated);
+  if (!validation.valid) {
+    throw new Error(`Article validation failed:\n${validation.errors.join('\n')}`);
+  }
 
-    // Write back to file
-    await writeArticles(data);
+  if (data.posts.some(p => p.id !== id && p.slug === updated.slug)) {
+    throw new Error(`Slug already in use: ${updated.slug}`);
+  }
 
-    logger.info(`Successfully added article: ${article.id} - ${article.title}`);
+  const changes = Object.keys(patch)
+    .filter(field => JSON.stringify(current[field]) !== JSON.stringify(updated[field]))
+    .map(field => ({ field, from: current[field], to: updated[field] }));
 
-    // Clean up old backups
-    await cleanOldBackups();
-  } catch (error) {
-    logger.error(`Failed to append article: ${error.message}`);
+  data.posts[index] = updated;
+  return { article: updated, changes };
+}
+
+/**
+ * Preview updating an article without touching anything on disk
+ * @param {string} id - Article ID
+ * @param {Object} patch - Fields to change
+ * @returns {Promise<Object>} { article, changes, before, after } - updated article and file contents
+ */
+export async function previewUpdate(id, patch) {
+  const data = await readArticles();
+  const before = JSON.stringify(data, null, 2);
+  const { article, changes } = await applyUpdate(data, id, structuredClone(patch));
+
+  return {
+    article,
+    changes,
+    before,
+    after: JSON.stringify(data, null, 2)
+  };
+}
+
+/**
+ * Find the article generated from a transcript
+ * @param {string} transcriptHash - Hash from hashTranscript()
+ * @returns {Promise<Object|null>} Matching article, or null
+ */
+export async function findArticleByTranscriptHash(transcriptHash) {
+  const data = await readArticles();
+  return data.posts.find(p => p.transcriptHash === transcriptHash) || null;
+}
+
+/**
+ * Preview appending an article without touching anything on disk
+ * @param {Object} article - Article object
+ * @returns {Promise<Object>} { article, before, after } - final article and file contents
+ */
+export async function previewAppend(article) {
+  const validation = await validateArticleStructure(article);
+  if (!validation.valid) {
+    throw new Error(`Article validation failed:\n${validation.errors.join('\n')}`);
+  }
+
+  const data = await readArticles();
+  const before = JSON.stringify(data, null, 2);
+
+  const preview = structuredClone(article);
+  applyAppend(data, preview);
+
+  return {
+    article: preview,
+    before,
+    after: JSON.stringify(data, null, 2)
+  };
+}
+
+/**
+ * Apply a change to articles.json: backup → read → modify → write,
+ * restoring the backup if anything fails after it was taken
+ * @param {string} action - Description used in log messages (e.g., "append article")
+ * @param {Function} modify - Receives the articles data, changes it in place and returns a result
+ * @returns {Promise<any>} Whatever modify returned
+ */
+async function modifyArticles(action, modify) {
+  return withArticlesLock(async () => {
+    let backupPath = null;
+    let writeAttempted = false;
 
-    // Try to restore from backup
     try {
-      logger.warn('Attempting to restore from backup...');
-      await restoreFromBackup();
-      logger.info('Successfully restored from backup');
-    } catch (restoreError) {
-      logger.error(`Failed to restore from backup: ${restoreError.message}`);
+      // Create backup before modifying
+      backupPath = await createBackup();
+
+      const data = await readArticles();
+      const result = await modify(data);
+
+      // Write back to file
+      writeAttempted = true;
+      await writeArticles(data);
+
+      // Clean up old backups
+      await cleanOldBackups();
+
+      return result;
+    } catch (error) {
+      logger.error(`Failed to ${action}: ${error.message}`);
+
+      // Try to restore from the backup taken above. Skipped when nothing was
+      // written, or on a conflict - the file on disk is someone else's newer edit.
+      if (backupPath && writeAttempted && error.code !== 'ECONFLICT') {
+        try {
+          logger.warn('Attempting to restore from backup...');
+          await restoreFromBackup(path.basename(backupPath), { snapshot: false });
+          logger.info('Successfully restored from backup');
+        } catch (restoreError) {
+          logger.error(`Failed to restore from backup: ${restoreError.message}`);
+        }
+      }
+
+      throw error;
     }
+  });
+}
 
+/**
+ * Append a new article to articles.json
+ * @param {Object} article - Article object
+ * @returns {Promise<void>}
+ */
+export async function appendArticle(article) {
+  // Validate article structure
+  const validation = await validateArticleStructure(article);
+  if (!validation.valid) {
+    const error = new Error(`Article validation failed:\n${validation.errors.join('\n')}`);
+    logger.error(`Failed to append article: ${error.message}`);
     throw error;
   }
+
+  await modifyArticles('append article', data => applyAppend(data, article));
+
+  logger.info(`Successfully added article: ${article.id} - ${article.title}`);
+}
+
+/**
+ * Update fields of an existing article
+ * @param {string} id - Article ID
+ * @param {Object} patch - Fields to change (undefined removes a field; the ID itself cannot be changed)
+ * @returns {Promise<Object>} { article, changes: [{ field, from, to }] }
+ */
+export async function updateArticle(id, patch) {
+  if ('id' in patch && patch.id !== id) {
+    throw new Error('Article ID cannot be changed');
+  }
+
+  const result = await modifyArticles(`update article ${id}`, data => applyUpdate(data, id, patch));
+
+  if (result.changes.length === 0) {
+    logger.info(`No changes to article: ${id}`);
+  } else {
+    logger.info(`Successfully updated article ${id}: ${result.changes.map(c => c.field).join(', ')}`);
+  }
+
+  return result;
+}
+
+/**
+ * Delete an article from articles.json
+ * @param {string} id - Article ID
+ * @returns {Promise<Object>} The removed article
+ */
+export async function deleteArticle(id) {
+  const removed = await modifyArticles(`delete article ${id}`, data => {
+    const index = data.posts.findIndex(p => p.id === id);
+    if (index === -1) {
+      throw new Error(`Article not found: ${id}`);
+    }
+
+    return data.posts.splice(index, 1)[0];
+  });
+
+  logger.info(`Successfully deleted article: ${removed.id} - ${removed.title}`);
+  return removed;
 }
 
 export default {
+  ARTICLE_STATUSES,
   readArticles,
   writeArticles,
   getNextArticleId,
+  isValidImageCredit,
   validateArticleStructure,
   createBackup,
   cleanOldBackups,
+  findBackup,
+  listBackups,
+  diffBackup,
   restoreFromBackup,
+  withArticlesLock,
   verifyIntegrity,
-  appendArticle
+  previewAppend,
+  previewUpdate,
+  findArticleByTranscriptHash,
+  appendArticle,
+  updateArticle,
+  deleteArticle
 };
@@ -0,0 +1,234 @@
+/**
+ * Simply Nerdy - Caption Files
+ * Turns .srt, .vtt and .sbv caption files into timestamped transcript paragraphs
+ */
+
+import path from 'path';
+
+export const CAPTION_EXTENSIONS = ['.srt', '.vtt', '.sbv'];
+export const TRANSCRIPT_EXTENSIONS = ['.txt', ...CAPTION_EXTENSIONS];
+
+// Cue timing line: "00:01:02,500 --> 00:01:04,000" (SRT), "01:02.500 --> ..." (VTT), "0:01:02.500,0:01:04.000" (SBV)
+const TIMING_PATTERN = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*(?:-->|,)\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+// Words that make a bracketed note a sound description: [Music], (laughs), [upbeat music playing]
+export const SOUND_CUE_WORDS = [
+  'music', 'applause', 'laughter', 'laughs', 'laughing', 'chuckles', 'chuckling', 'inaudible',
+  'crosstalk', 'silence', 'cheering', 'cheers', 'sighs', 'coughs', 'static', 'beep', 'bleep'
+];
+
+// Bracketed or parenthesized notes, dropped only when they are sound descriptions
+const BRACKETED_PATTERN = /\[([^\]\n]{0,40})\]|\(([^)\n]{0,40})\)/g;
+
+// Speaker label starting a cue: "[Steven] text" or "Steven: text" (up to three capitalized words)
+const CUE_LABEL = /^(?:\[([A-Za-z][^\]]{0,30})\]|([A-Z][\w'.-]*(?: [A-Z][\w'.-]*){0,2}):)\s*/;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&apos;': "'", '&nbsp;': ' ' };
+
+/**
+ * Check whether a file is a caption file (by extension)
+ * @param {string} filePath - File path
+ * @returns {boolean} True for .srt, .vtt and .sbv
+ */
+export function isCaptionFile(filePath) {
+  return CAPTION_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Check whether a file is something the processor can read (by extension)
+ * @param {string} filePath - File path
+ * @returns {boolean} True for .txt and caption files
+ */
+export function isTranscriptFile(filePath) {
+  return TRANSCRIPT_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Parse a caption timestamp
+ * @param {string} value - "HH:MM:SS,mmm", "HH:MM:SS.mmm", "MM:SS.mmm" or "H:MM:SS.mmm"; the milliseconds are optional ("12:34")
+ * @returns {number} Seconds
+ */
+export function parseTimestamp(value) {
+  const [clock, millis = '0'] = value.split(/[.,]/);
+  const seconds = clock.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  return seconds + Number(`0.${millis}`);
+}
+
+/**
+ * Format seconds as a transcript timestamp
+ * @param {number} seconds - Seconds from the start
+ * @returns {string} "MM:SS", or "H:MM:SS" from the first hour on
+ */
+export function formatTimestamp(seconds) {
+  const whole = Math.floor(seconds);
+  const h = Math.floor(whole / 3600);
+  const mm = String(Math.floor((whole % 3600) / 60)).padStart(2, '0');
+  const ss = String(whole % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+}
+
+/**
+ * Check whether a bracketed note is a sound description rather than a name
+ * YouTube's [ __ ] for a bleeped word counts as one too.
+ * @param {string} note - Text inside the brackets (e.g. "Music", "audience laughing", "Steven")
+ * @returns {boolean} True for sound descriptions
+ */
+export function isSoundCue(note) {
+  const words = note.toLowerCase().split(/[^a-z_]+/).filter(Boolean);
+  return words.length === 0 || words.every(word => /^_+$/.test(word)) ||
+    words.some(word => SOUND_CUE_WORDS.includes(word));
+}
+
+/**
+ * Clean one line of cue text
+ * Removes markup (VTT <c> and karaoke timestamps, SRT <i>/<font>, {\an8}),
+ * decodes common entities and drops sound descriptions. A "[Name]" or
+ * "Name:" label at the start is taken off the text and becomes the speaker.
+ * @param {string} line - Raw cue line
+ * @returns {{text: string, speaker: string|null, newSpeaker: boolean}} Clean text, VTT voice or label name, and whether ">>" marked a speaker change
+ */
+function cleanCueLine(line) {
+  const voice = line.match(/<v(?:\.[\w.-]+)?\s+([^>]+)>/);
+  let text = line
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&(?:amp|lt|gt|quot|#39|apos|nbsp);/g, entity => ENTITIES[entity])
+    .replace(BRACKETED_PATTERN, (note, bracketed, parenthesized) => (isSoundCue(bracketed ?? parenthesized) ? '' : note))
+    .replace(/♪/g, '');
+
+  const newSpeaker = /^\s*(?:>>|-\s)/.test(text);
+  text = text.replace(/^\s*(?:>>|-\s)/, '').replace(/\s+/g, ' ').trim();
+
+  let speaker = voice ? voice[1].trim() : null;
+  const label = text.match(CUE_LABEL);
+  if (label && !isSoundCue(label[1] || label[2])) {
+    speaker = (label[1] || label[2]).trim();
+    text = text.slice(label[0].length);
+  }
+
+  return { text, speaker, newSpeaker };
+}
+
+/**
+ * Parse caption file content into cues
+ * A timing line starts a cue and a blank line after its text ends it, so cue
+ * numbers, cue IDs, the WEBVTT header and NOTE/STYLE/REGION blocks are skipped.
+ * @param {string} text - Caption file content
+ * @returns {Object[]} Cues [{ start, end, lines: [{ text, speaker, newSpeaker }] }] in file order
+ */
+export function parseCaptions(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const cues = [];
+  let cue = null;
+
+  lines.forEach((line, i) => {
+    const timing = line.match(TIMING_PATTERN);
+    if (timing) {
+      cue = { start: parseTimestamp(timing[1]), end: parseTimestamp(timing[2]), lines: [] };
+      cues.push(cue);
+      return;
+    }
+    if (!cue) return;
+
+    if (!line.trim()) {
+      // YouTube puts a whitespace-only line before the text, so only a blank after text ends the cue
+      if (cue.lines.length > 0) cue = null;
+      return;
+    }
+
+    // A line right before a timing line is the next cue's number or ID
+    if (TIMING_PATTERN.test(lines[i + 1] || '')) return;
+
+    cue.lines.push(line);
+  });
+
+  return cues
+    .map(c => ({ ...c, lines: c.lines.map(cleanCueLine).filter(l => l.text) }))
+    .filter(c => c.lines.length > 0);
+}
+
+/**
+ * Merge cue fragments into timestamped paragraphs
+ * A new paragraph starts at a pause of gapSeconds or more, at a speaker change
+ * (VTT voice, "[Name]" or "Name:" label, or ">>"), or after maxChars once a sentence ends. A line that
+ * repeats one from the previous cue, as rolling auto-captions do (YouTube
+ * shows each line twice), is kept once.
+ * @param {Object[]} cues - Cues from parseCaptions
+ * @param {Object} options - Merge options
+ * @param {number} options.gapSeconds - Pause that starts a new paragraph (default: 2.5)
+ * @param {number} options.maxChars - Paragraph length to break at a sentence end (default: 700)
+ * @returns {Object[]} Paragraphs [{ start, speaker, text }]
+ */
+export function mergeCues(cues, options = {}) {
+  const { gapSeconds = 2.5, maxChars = 700 } = options;
+  const paragraphs = [];
+  let previousLines = [];
+  let current = null;
+  let lastEnd = -Infinity;
+  let speaker = null;
+
+  cues.forEach(cue => {
+    const pause = cue.start - lastEnd >= gapSeconds;
+    lastEnd = Math.max(lastEnd, cue.end);
+
+    const repeated = previousLines;
+    previousLines = cue.lines.map(line => line.text);
+
+    cue.lines.forEach(line => {
+      if (repeated.includes(line.text)) return;
+
+      const speakerChanged = line.newSpeaker || (line.speaker !== null && line.speaker !== speaker);
+      // A ">>" without a name means someone else is talking, so the last name no longer applies
+      if (line.speaker !== null || line.newSpeaker) speaker = line.speaker;
+
+      const full = current && current.text.length >= maxChars &&
+        (/[.!?…]["')\]]*$/.test(current.text) || current.text.length >= maxChars * 2);
+
+      if (!current || pause || speakerChanged || full) {
+        current = { start: cue.start, speaker, text: line.text };
+        paragraphs.push(current);
+      } else {
+        current.text += ` ${line.text}`;
+      }
+    });
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Convert caption file content into a transcript
+ * Each paragraph starts with the time it was said, e.g. "[12:34] ..." or
+ * "[1:02:03] Alex: ..." when the captions name the speaker.
+ * @param {string} text - Caption file content
+ * @param {Object} options - See mergeCues
+ * @returns {{text: string, cueCount: number, paragraphCount: number}} Transcript text and counts for logging
+ * @throws {Error} If the file has no caption cues
+ */
+export function captionsToTranscript(text, options = {}) {
+  const cues = parseCaptions(text);
+  if (cues.length === 0) {
+    throw new Error('No caption cues found (expected SRT, WebVTT or SBV timing lines)');
+  }
+
+  const paragraphs = mergeCues(cues, options);
+  const transcript = paragraphs
+    .map(p => `[${formatTimestamp(p.start)}] ${p.speaker ? `${p.speaker}: ` : ''}${p.text}`)
+    .join('\n\n');
+
+  return { text: transcript, cueCount: cues.length, paragraphCount: paragraphs.length };
+}
+
+export default {
+  CAPTION_EXTENSIONS,
+  TRANSCRIPT_EXTENSIONS,
+  SOUND_CUE_WORDS,
+  isCaptionFile,
+  isSoundCue,
+  isTranscriptFile,
+  parseTimestamp,
+  formatTimestamp,
+  parseCaptions,
+  mergeCues,
+  captionsToTranscript
+};
@@ -1,20 +1,27 @@
 /**
- * Simply Nerdy - Claude API Integration
+ * Simply Nerdy - Model API Integration
  * Handles AI transformation of transcripts into articles
  */
 
-import Anthropic from '@anthropic-ai/sdk';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { logger, sanitizeHtml, retryWithBackoff } from './utils.js';
+import { logger, sanitizeHtml, retryWithBackoff, chunkText, renderTemplate } from './utils.js';
+import { getProvider } from './providers/index.js';
+import { describeEpisode, applyEpisodeMetadata } from './episode-metadata.js';
+import { recordUsage } from './usage-ledger.js';
+import { listLibraryImages } from './image-handler.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-let anthropic = null;
 let settings = null;
-let promptTemplate = null;
+const promptTemplates = new Map(); // Template text by show format
+let chunkSummaryTemplate = null;
+
+// Fields every generated article must have (checked by validateApiResponse)
+const REQUIRED_FIELDS = ['title', 'category', 'excerpt', 'content', 'tags', 'imageSearchTerms'];
+const ARTICLE_TOOL_NAME = 'save_article';
 
 /**
  * Load settings from config file
@@ -30,130 +37,400 @@ async function loadSettings() {
 }
 
 /**
- * Initialize Anthropic client
- * @returns {Anthropic} Anthropic client instance
+ * Get the model provider selected in settings (see providers/index.js)
+ * @returns {Promise<Object>} Provider
  */
-export function initializeClient() {
-  if (anthropic) return anthropic;
+export async function getActiveProvider() {
+  return getProvider(await loadSettings());
+}
 
-  if (!process.env.ANTHROPIC_API_KEY) {
-    throw new Error('ANTHROPIC_API_KEY environment variable not set');
-  }
+/**
+ * Resolve a show format to its prompt template file
+ * @param {string} [format] - Format name from settings.promptTemplates (default: settings.defaultFormat)
+ * @returns {Promise<{format: string, templatePath: string}>} Format name and absolute template path
+ */
+export async function resolvePromptFormat(format) {
+  const config = await loadSettings();
+  const name = format || config.defaultFormat;
+  const file = config.promptTemplates[name];
 
-  anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY
-  });
+  if (!file) {
+    throw new Error(`Unknown show format "${name}" (expected one of: ${Object.keys(config.promptTemplates).join(', ')})`);
+  }
 
-  logger.info('Claude API client initialized');
-  return anthropic;
+  return { format: name, templatePath: path.resolve(__dirname, '../templates', file) };
 }
 
 /**
- * Load prompt template from file
+ * Load the prompt template for a show format
+ * @param {string} [format] - Format name (default: settings.defaultFormat)
  * @returns {Promise<string>} Prompt template
  */
-export async function loadPromptTemplate() {
-  if (promptTemplate) return promptTemplate;
+export async function loadPromptTemplate(format) {
+  const { format: name, templatePath } = await resolvePromptFormat(format);
+  if (promptTemplates.has(name)) return promptTemplates.get(name);
 
-  const templatePath = path.resolve(__dirname, '../templates/article-prompt.txt');
-  promptTemplate = await fs.readFile(templatePath, 'utf8');
+  const template = await fs.readFile(templatePath, 'utf8');
+  promptTemplates.set(name, template);
 
-  logger.debug('Loaded prompt template');
-  return promptTemplate;
+  logger.debug(`Loaded ${name} prompt template`);
+  return template;
 }
 
 /**
- * Transform transcript into article using Claude API
- * @param {string} transcriptText - Raw transcript text
- * @returns {Promise<Object>} Article data { title, category, excerpt, content, tags, imageSearchTerms }
+ * Describe the image library for the prompt ({{IMAGE_LIBRARY}})
+ * @param {Object[]} images - Library images (see listLibraryImages)
+ * @returns {string} One image per line
  */
-export async function transformTranscript(transcriptText) {
-  try {
-    const client = initializeClient();
-    const config = await loadSettings();
-    const template = await loadPromptTemplate();
+function describeImageLibrary(images) {
+  return images.length > 0
+    ? images.map(image => `- ${image.file}: ${image.alt} (tags: ${image.tags.join(', ')})`).join('\n')
+    : 'None available.';
+}
 
-    // Replace placeholder with actual transcript
-    const prompt = template.replace('{{TRANSCRIPT}}', transcriptText);
+/**
+ * Build the variables available to article prompt templates
+ * Values come from settings.json, so the prompt always matches what
+ * validateApiResponse and the save_article schema accept.
+ * @param {string} transcript - Transcript (or chunk summaries) to insert
+ * @param {Object} [metadata] - Episode metadata from the transcript's front-matter
+ * @returns {Promise<Object>} Variables by placeholder name
+ */
+export async function buildPromptVariables(transcript, metadata = {}) {
+  const config = await loadSettings();
+  const images = await listLibraryImages({
+    category: metadata.category,
+    keywords: metadata.tags,
+    limit: config.figureLibraryLimit
+  });
+
+  return {
+    CATEGORIES: config.categories.map(category => `"${category}"`).join(', '),
+    EPISODE_DETAILS: describeEpisode(metadata),
+    IMAGE_LIBRARY: describeImageLibrary(images),
+    MAX_FIGURES: config.maxArticleFigures,
+    TRANSCRIPT: transcript
+  };
+}
 
-    logger.info(`Sending transcript to Claude API (${transcriptText.length} characters)`);
-    logger.info(`Using model: ${config.claudeModel}`);
+/**
+ * Load the chunk summary prompt template from file
+ * @returns {Promise<string>} Prompt template
+ */
+async function loadChunkSummaryTemplate() {
+  if (chunkSummaryTemplate) return chunkSummaryTemplate;
+
+  const templatePath = path.resolve(__dirname, '../templates/chunk-summary-prompt.txt');
+  chunkSummaryTemplate = await fs.readFile(templatePath, 'utf8');
+
+  logger.debug('Loaded chunk summary prompt template');
+  return chunkSummaryTemplate;
+}
+
+/**
+ * Send a conversation to the model provider (with retries)
+ * Every call, including one that fails after all retries, is recorded in
+ * the usage ledger with its tokens, retries and the latency of the last attempt.
+ * Dry runs pass usage: null and leave the ledger alone.
+ * @param {Object[]} messages - Messages API conversation
+ * @param {Object} options - Request options
+ * @param {number} options.maxTokens - Response token limit
+ * @param {Object} [options.tool] - Tool the model must call
+ * @param {string} options.purpose - What the call is for, as recorded in the ledger
+ * @param {Object|null} [options.usage] - Extra ledger fields (job, file, transcriptHash), or null to record nothing
+ * @returns {Promise<Object>} Provider response { content, stopReason, model, usage }
+ */
+async function sendMessages(messages, options = {}) {
+  const config = await loadSettings();
+  const provider = getProvider(config);
+  const { maxTokens = config.claudeMaxTokens, tool, purpose, usage = {} } = options;
+  let attempts = 0;
+  let attemptStart = Date.now();
+
+  const record = async (model, tokens, extra = {}) => {
+    if (!usage) return;
+    await recordUsage({
+      ...usage,
+      purpose,
+      provider: provider.name,
+      model,
+      inputTokens: tokens.inputTokens,
+      outputTokens: tokens.outputTokens,
+      retries: attempts - 1,
+      latencyMs: Date.now() - attemptStart,
+      ...extra
+    });
+  };
 
-    // Call Claude API with retry logic
-    const result = await retryWithBackoff(async () => {
-      const message = await client.messages.create({
-        model: config.claudeModel,
-        max_tokens: config.claudeMaxTokens,
+  try {
+    const message = await retryWithBackoff(() => {
+      attempts++;
+      attemptStart = Date.now();
+      return provider.createMessage({
+        messages,
+        maxTokens,
         temperature: config.claudeTemperature,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
+        tool
       });
-
-      return message;
     }, {
       maxAttempts: config.retryAttempts,
       delayMs: config.retryDelayMs
     });
 
-    // Extract text from response
-    const responseText = result.content[0].text;
+    logger.info(`✓ ${purpose} call: ${message.usage.inputTokens} input / ${message.usage.outputTokens} output tokens in ${((Date.now() - attemptStart) / 1000).toFixed(1)}s${attempts > 1 ? ` (${attempts - 1} retries)` : ''}`);
+    await record(message.model, message.usage);
+    return message;
+  } catch (error) {
+    await record(provider.model, { inputTokens: 0, outputTokens: 0 }, { error: error.message });
+    throw error;
+  }
+}
 
-    logger.debug(`Received response from Claude (${responseText.length} characters)`);
+/**
+ * Send a single prompt to the model provider (with retries)
+ * @param {string} prompt - User message
+ * @param {Object} options - See sendMessages (maxTokens, purpose, usage)
+ * @returns {Promise<Object>} Provider response
+ */
+async function sendPrompt(prompt, options) {
+  return sendMessages([{ role: 'user', content: prompt }], options);
+}
 
-    // Parse JSON response
-    const articleData = parseApiResponse(responseText);
+/**
+ * Build the tool the model calls to hand over the article
+ * The input schema mirrors what validateApiResponse and
+ * validateArticleStructure expect, so a valid call saves cleanly.
+ * @returns {Promise<Object>} Tool definition
+ */
+export async function buildArticleTool() {
+  const config = await loadSettings();
+  const stringList = (minItems, maxItems) => ({ type: 'array', items: { type: 'string', minLength: 1 }, minItems, maxItems });
+
+  return {
+    name: ARTICLE_TOOL_NAME,
+    description: 'Save the finished Simply Nerdy article. Call this exactly once with every field filled in.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', minLength: 10, maxLength: 100, description: 'Catchy article title' },
+        category: { type: 'string', enum: config.categories, description: 'Site category' },
+        excerpt: { type: 'string', minLength: 50, description: '1-2 sentence summary shown on article cards' },
+        content: { type: 'string', minLength: 100, description: 'Full article body as HTML' },
+        tags: { ...stringList(3, 5), description: 'Lowercase-with-hyphens tags' },
+        imageSearchTerms: { ...stringList(1, 3), description: 'Keywords for the featured image search' },
+        sections: {
+          type: 'array',
+          description: 'Only when the transcript has [12:34] timestamps: each <h4> heading of the content and the timestamp where that part of the episode starts',
+          items: {
+            type: 'object',
+            properties: {
+              heading: { type: 'string', minLength: 1, description: 'The <h4> heading text, exactly as written in the content' },
+              start: { type: 'string', pattern: '^\\d{1,2}:\\d{2}(:\\d{2})?$', description: 'Timestamp from the transcript, e.g. "12:34" or "1:02:03"' }
+            },
+            required: ['heading', 'start']
+          }
+        },
+        figures: {
+          type: 'array',
+          maxItems: config.maxArticleFigures,
+          description: 'Images to place in the article, each at the end of the section it illustrates',
+          items: {
+            type: 'object',
+            properties: {
+              heading: { type: 'string', minLength: 1, description: 'The <h4> heading of the section, exactly as written in the content' },
+              image: { type: 'string', minLength: 1, description: 'Path of an image from the image library, if one fits' },
+              searchTerms: { ...stringList(1, 3), description: 'Keywords for a stock photo search, used when no library image fits' },
+              alt: { type: 'string', minLength: 1, description: 'Alt text describing what the image shows' },
+              caption: { type: 'string', minLength: 1, description: 'Short caption tying the image to the article' }
+            },
+            required: ['heading', 'alt', 'caption']
+          }
+        }
+      },
+      required: REQUIRED_FIELDS
+    }
+  };
+}
 
-    // Validate and sanitize
-    const validatedData = await validateApiResponse(articleData);
+/**
+ * Check a value against the subset of JSON Schema used by buildArticleTool
+ * @param {any} value - Value to check
+ * @param {Object} schema - Schema (type, enum, minLength, maxLength, pattern, minItems, maxItems, items, properties, required)
+ * @param {string} [at] - Path of the value, for error messages
+ * @returns {string[]} Error messages (empty if valid)
+ */
+function checkSchema(value, schema, at = 'input') {
+  const actual = Array.isArray(value) ? 'array' : typeof value;
+  if (value === null || actual !== schema.type) {
+    return [`${at} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+  }
 
-    logger.info(`Successfully transformed transcript into article: "${validatedData.title}"`);
-    return validatedData;
-  } catch (error) {
-    logger.error(`Claude API transformation failed: ${error.message}`);
-    throw new Error(`Failed to transform transcript: ${error.message}`);
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of: ${schema.enum.join(', ')} (got "${value}")`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${at} must be at least ${schema.minLength} characters (got ${value.length})`);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push(`${at} must be at most ${schema.maxLength} characters (got ${value.length})`);
+  }
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${at} must match ${schema.pattern} (got "${value}")`);
+  }
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push(`${at} must have at least ${schema.minItems} items (got ${value.length})`);
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push(`${at} must have at most ${schema.maxItems} items (got ${value.length})`);
+  }
+  if (schema.items) {
+    value.forEach((item, i) => errors.push(...checkSchema(item, schema.items, `${at}[${i}]`)));
   }
+  if (schema.properties) {
+    // Top-level fields are named as they are, nested ones as "sections[0].start"
+    const fieldPath = field => (at === 'input' ? field : `${at}.${field}`);
+    (schema.required || []).forEach(field => {
+      if (!(field in value)) errors.push(`Missing required field: ${fieldPath(field)}`);
+    });
+    Object.entries(schema.properties).forEach(([field, fieldSchema]) => {
+      if (field in value) errors.push(...checkSchema(value[field], fieldSchema, fieldPath(field)));
+    });
+  }
+
+  return errors;
 }
 
 /**
- * Parse Claude API response (handles both JSON and markdown-wrapped JSON)
- * @param {string} responseText - Raw response text
- * @returns {Object} Parsed article data
+ * Ask the model for the article through the save_article tool
+ * If the tool input breaks the schema, the errors are sent back as the tool
+ * result and the model is asked to call it again (up to settings.schemaRetryAttempts).
+ * @param {string} prompt - Article prompt
+ * @param {Object} [usage] - Extra usage ledger fields (see sendMessages)
+ * @returns {Promise<Object>} Tool input that passed the schema
  */
-function parseApiResponse(responseText) {
-  try {
-    // Try to parse as-is first
-    return JSON.parse(responseText);
-  } catch (error) {
-    // If it fails, try to extract JSON from markdown code blocks
-    const jsonMatch = responseText.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-    if (jsonMatch) {
-      try {
-        return JSON.parse(jsonMatch[1]);
-      } catch (innerError) {
-        throw new Error('Failed to parse JSON from markdown code block');
-      }
+async function requestArticle(prompt, usage) {
+  const config = await loadSettings();
+  const tool = await buildArticleTool();
+  const messages = [{ role: 'user', content: prompt }];
+
+  for (let attempt = 0; ; attempt++) {
+    const message = await sendMessages(messages, { tool, purpose: attempt === 0 ? 'article' : 'article-fix', usage });
+
+    if (message.stopReason === 'max_tokens') {
+      throw new Error(`Response was cut off at claudeMaxTokens (${config.claudeMaxTokens}); raise it in settings.json`);
     }
 
-    // Try to find JSON object in response
-    const objectMatch = responseText.match(/\{[\s\S]*\}/);
-    if (objectMatch) {
-      try {
-        return JSON.parse(objectMatch[0]);
-      } catch (innerError) {
-        throw new Error('Failed to parse extracted JSON object');
-      }
+    const toolUse = message.content.find(block => block.type === 'tool_use' && block.name === tool.name);
+    const errors = toolUse
+      ? checkSchema(toolUse.input, tool.input_schema)
+      : [`No ${tool.name} tool call in the response`];
+
+    if (errors.length === 0) {
+      return toolUse.input;
     }
 
-    throw new Error('Could not find valid JSON in response');
+    if (attempt >= config.schemaRetryAttempts) {
+      throw new Error(`Article still invalid after ${attempt + 1} attempt(s):\n${errors.join('\n')}`);
+    }
+
+    logger.warn(`Article failed validation, asking the model to fix it: ${errors.join('; ')}`);
+    const feedback = `The article was not saved because of these problems:\n${errors.map(e => `- ${e}`).join('\n')}\n\nFix them and call ${tool.name} again with the complete article.`;
+
+    messages.push({ role: 'assistant', content: message.content });
+    messages.push({
+      role: 'user',
+      content: toolUse
+        ? [{ type: 'tool_result', tool_use_id: toolUse.id, is_error: true, content: feedback }]
+        : feedback
+    });
   }
 }
 
 /**
- * Validate Claude API response
+ * Summarize a long transcript part by part (the "map" step)
+ * @param {string} transcriptText - Raw transcript text
+ * @param {Object} [metadata] - Episode metadata (hosts help attribute opinions)
+ * @param {Object} [usage] - Extra usage ledger fields (see sendMessages)
+ * @returns {Promise<string>} Chunk summaries in order, to use in place of the transcript
+ */
+async function summarizeInChunks(transcriptText, metadata, usage) {
+  const config = await loadSettings();
+  const template = await loadChunkSummaryTemplate();
+  const chunks = chunkText(transcriptText, config.chunkSizeChars, config.chunkOverlapChars);
+
+  logger.info(`Long transcript: summarizing ${chunks.length} overlapping parts before writing the article`);
+
+  const summaries = [];
+  for (const [index, chunk] of chunks.entries()) {
+    const prompt = renderTemplate(template, {
+      PART: index + 1,
+      TOTAL: chunks.length,
+      EPISODE_DETAILS: describeEpisode(metadata),
+      CHUNK: chunk
+    });
+
+    logger.info(`Summarizing part ${index + 1}/${chunks.length} (${chunk.length} characters)`);
+    const message = await sendPrompt(prompt, { maxTokens: config.chunkSummaryMaxTokens, purpose: 'chunk-summary', usage });
+
+    if (message.stopReason === 'max_tokens') {
+      logger.warn(`Summary of part ${index + 1} hit chunkSummaryMaxTokens and was cut short`);
+    }
+    const text = message.content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+    summaries.push(`[Part ${index + 1} of ${chunks.length}]\n${text.trim()}`);
+  }
+
+  return [
+    `(This episode is too long to include verbatim. Below are detailed notes on each part of the transcript, in order; parts overlap slightly, so ignore repeated points.)`,
+    ...summaries
+  ].join('\n\n');
+}
+
+/**
+ * Transform transcript into article using the configured model provider
+ * Transcripts longer than settings.chunkThresholdChars are summarized in
+ * overlapping chunks first, and the article is written from the summaries.
+ * @param {string} transcriptText - Raw transcript text
+ * @param {Object} options - Transform options
+ * @param {string} options.format - Show format picking the prompt template (default: settings.defaultFormat)
+ * @param {Object} options.metadata - Episode metadata: given to the model, and its category and tags are forced
+ * @param {Object|null} options.usage - Fields recorded with each model call in the usage ledger (job, file, transcriptHash); null records nothing
+ * @returns {Promise<Object>} Article data { title, category, excerpt, content, tags, imageSearchTerms, sections?, figures? }
+ */
+export async function transformTranscript(transcriptText, options = {}) {
+  try {
+    const config = await loadSettings();
+    const { format } = await resolvePromptFormat(options.format);
+    const template = await loadPromptTemplate(format);
+
+    const source = transcriptText.length > config.chunkThresholdChars
+      ? await summarizeInChunks(transcriptText, options.metadata, options.usage)
+      : transcriptText;
+
+    // Fill in the transcript (or its chunk summaries) and settings-driven variables
+    const prompt = renderTemplate(template, await buildPromptVariables(source, options.metadata));
+
+    const provider = getProvider(config);
+    logger.info(`Sending ${source === transcriptText ? 'transcript' : 'chunk summaries'} to the ${provider.name} provider (${source.length} characters)`);
+    logger.info(`Using model: ${provider.model}, ${format} prompt`);
+
+    // Call the model (structured output through the save_article tool)
+    const articleData = await requestArticle(prompt, options.usage);
+
+    // Validate and sanitize
+    const validatedData = applyEpisodeMetadata(await validateApiResponse(articleData), options.metadata);
+
+    logger.info(`Successfully transformed transcript into article: "${validatedData.title}"`);
+    return validatedData;
+  } catch (error) {
+    logger.error(`Transcript transformation failed: ${error.message}`);
+    throw new Error(`Failed to transform transcript: ${error.message}`);
+  }
+}
+
+/**
+ * Validate the model response
  * @param {Object} articleData - Parsed article data
  * @returns {Promise<Object>} Validated article data
  */
@@ -161,9 +438,7 @@ export async function validateApiResponse(articleData) {
   const errors = [];
 
   // Check required fields
-  const requiredFields = ['title', 'category', 'excerpt', 'content', 'tags', 'imageSearchTerms'];
-
-  requiredFields.forEach(field => {
+  REQUIRED_FIELDS.forEach(field => {
     if (!(field in articleData)) {
       errors.push(`Missing required field: ${field}`);
     }
@@ -204,8 +479,11 @@ export async function validateApiResponse(articleData) {
 }
 
 export default {
-  initializeClient,
+  getActiveProvider,
+  resolvePromptFormat,
   loadPromptTemplate,
+  buildPromptVariables,
+  buildArticleTool,
   transformTranscript,
   validateApiResponse
 };
@@ -0,0 +1,552 @@
+#!/usr/bin/env node
+
+/**
+ * Simply Nerdy - Command Line Interface
+ * Single entry point for processing transcripts and managing articles.json
+ */
+
+import { realpathSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { logger, diffLines, parsePublishAt } from './utils.js';
+import {
+  readArticles,
+  updateArticle,
+  deleteArticle,
+  listBackups,
+  diffBackup,
+  restoreFromBackup
+} from './articles-manager.js';
+import {
+  getDraft,
+  listDrafts,
+  updateDraft,
+  previewPublish,
+  publishDraft,
+  rejectDraft
+} from './drafts-manager.js';
+import { processTranscript, retryFailed, startWatcher, requireProviderConfig } from './transcript-processor.js';
+import { listJobs } from './job-queue.js';
+import { resolvePromptFormat } from './claude-api.js';
+import { getUsageReport, getBudgetStatus } from './usage-ledger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+/**
+ * Find an article by ID (or slug) in articles.json
+ * @param {string} id - Article ID or slug
+ * @returns {Promise<Object>} Matching article
+ */
+async function findArticle(id) {
+  const data = await readArticles();
+  const article = data.posts.find(p => p.id === id) || data.posts.find(p => p.slug === id);
+
+  if (!article) {
+    throw new Error(`Article not found: ${id}`);
+  }
+  return article;
+}
+
+/**
+ * Get the value of a --name=value flag
+ * @param {Set<string>} flags - Flags given on the command line
+ * @param {string} name - Flag name including the dashes
+ * @returns {string|undefined} Value, or undefined if the flag was not given
+ */
+function getFlagValue(flags, name) {
+  const flag = [...flags].find(f => f.startsWith(`${name}=`));
+  return flag === undefined ? undefined : flag.slice(name.length + 1);
+}
+
+/**
+ * Format a publishAt timestamp in local time
+ * @param {string} publishAt - ISO timestamp
+ * @returns {string} e.g. "2026-11-01 09:00"
+ */
+function formatPublishAt(publishAt) {
+  return new Date(publishAt).toLocaleString('sv-SE').slice(0, 16);
+}
+
+/**
+ * process <file> [--dry-run] [--regenerate] [--publish-at=<when>] [--format=<name>] [--provider=<name>]
+ */
+async function processCommand(args, flags) {
+  const [file] = args;
+  if (!file) {
+    throw new Error('Usage: simply-nerdy process <file> [--dry-run] [--regenerate] [--publish-at=<when>] [--format=<name>] [--provider=<name>]');
+  }
+
+  const publishAt = getFlagValue(flags, '--publish-at');
+  const format = getFlagValue(flags, '--format');
+  const provider = getFlagValue(flags, '--provider');
+  if (provider !== undefined) {
+    process.env.LLM_PROVIDER = provider;
+  }
+  if (format !== undefined) {
+    await resolvePromptFormat(format); // Fail before queueing on an unknown format
+  }
+
+  await requireProviderConfig();
+  const article = await processTranscript(path.resolve(file), {
+    dryRun: flags.has('--dry-run'),
+    regenerate: flags.has('--regenerate'),
+    publishAt: publishAt === undefined ? undefined : parsePublishAt(publishAt),
+    format
+  });
+  if (!article) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * watch
+ */
+async function watchCommand() {
+  await requireProviderConfig();
+  await startWatcher();
+}
+
+/**
+ * retry [file...] [--fresh]
+ */
+async function retryCommand(args, flags) {
+  const retried = await retryFailed({ names: args, fresh: flags.has('--fresh') });
+
+  if (retried.length === 0) {
+    console.log('No failed transcripts to retry.');
+    return;
+  }
+
+  retried.forEach(item => console.log(`  ${item.filename} (resumes at "${item.resumeFrom}")`));
+  console.log(`\nRe-queued ${retried.length} transcript(s). They are picked up by a running watcher, or the next "watch".`);
+}
+
+/**
+ * queue
+ */
+async function queueCommand() {
+  const jobs = await listJobs();
+
+  const budget = await getBudgetStatus();
+  if (budget.exceeded) {
+    console.log(`Paused: monthly budget reached ($${budget.spent.toFixed(2)} of $${budget.budget.toFixed(2)} in ${budget.month}). Raise monthlyBudgetUsd or wait for next month.\n`);
+  }
+
+  if (jobs.length === 0) {
+    console.log('Queue is empty.');
+    return;
+  }
+
+  const nameWidth = Math.max(4, ...jobs.map(j => j.filename.length));
+  console.log(`${'FILE'.padEnd(nameWidth)}  ${'STATE'.padEnd(14)}  UPDATED                   DETAIL`);
+  jobs.forEach(job => {
+    let detail = (job.error || '').split('\n').join(' ');
+    if (job.state === 'done') detail = `article ${job.articleId}`;
+    if (job.state === 'skipped') detail = `duplicate of ${job.articleId ? `article ${job.articleId}` : 'a queued job'}`;
+    console.log(`${job.filename.padEnd(nameWidth)}  ${job.state.padEnd(14)}  ${job.updatedAt}  ${detail}`);
+  });
+}
+
+/**
+ * Format a cost in dollars
+ * @param {Object} usage - Usage totals (see totalUsage)
+ * @returns {string} e.g. "$0.0123", with "+?" when some models have no price
+ */
+function formatCost(usage) {
+  return `$${usage.cost.toFixed(4)}${usage.unpriced.length > 0 ? '+?' : ''}`;
+}
+
+/**
+ * stats [--month=YYYY-MM]
+ * Model usage and cost per month and per article, from the usage ledger
+ */
+async function statsCommand(args, flags) {
+  const month = getFlagValue(flags, '--month');
+  if (month !== undefined && !/^\d{4}-\d{2}$/.test(month)) {
+    throw new Error('Usage: simply-nerdy stats [--month=YYYY-MM]');
+  }
+
+  const report = await getUsageReport({ month });
+  if (report.total.calls === 0) {
+    console.log(`No model calls recorded${month ? ` in ${month}` : ''}.`);
+    return;
+  }
+
+  // Name each transcript after the draft or article it became, falling back to its job or file
+  const [drafts, data, jobs] = await Promise.all([listDrafts({ all: true }), readArticles(), listJobs()]);
+  const byHash = new Map([...data.posts, ...drafts].filter(a => a.transcriptHash).map(a => [a.transcriptHash, a]));
+  const articleIds = new Map(jobs.filter(j => j.articleId).map(j => [j.id, j.articleId]));
+  const rows = report.transcripts.map(group => {
+    const [entry] = group.entries;
+    const article = !entry.dryRun && byHash.get(entry.transcriptHash);
+    const id = article ? article.id : articleIds.get(entry.job) || '-';
+    const title = article ? article.title : `${entry.dryRun ? '(dry run) ' : ''}${entry.file || entry.job || 'unknown'}`;
+    return { id: String(id), title, group };
+  });
+
+  const budget = await getBudgetStatus();
+  console.log('MONTH    CALLS  INPUT TOKENS  OUTPUT TOKENS  COST');
+  report.months.forEach(group => {
+    const cap = group.key === budget.month && budget.budget !== null ? `  (budget $${budget.budget.toFixed(2)}${budget.exceeded ? ', queue paused' : ''})` : '';
+    console.log(`${group.key}  ${String(group.calls).padStart(5)}  ${String(group.inputTokens).padStart(12)}  ${String(group.outputTokens).padStart(13)}  ${formatCost(group)}${cap}`);
+  });
+
+  const idWidth = Math.max(7, ...rows.map(r => r.id.length));
+  console.log(`\n${'ARTICLE'.padEnd(idWidth)}  CALLS  RETRIES  AVG LATENCY  COST       TITLE`);
+  rows.forEach(({ id, title, group }) => {
+    const latency = `${(group.latencyMs / group.calls / 1000).toFixed(1)}s`;
+    const failed = group.failed > 0 ? ` (${group.failed} failed)` : '';
+    console.log(`${id.padEnd(idWidth)}  ${String(group.calls).padStart(5)}  ${String(group.retries).padStart(7)}  ${latency.padStart(11)}  ${formatCost(group).padEnd(9)}  ${title}${failed}`);
+  });
+
+  console.log(`\n${report.total.calls} call(s), ${formatCost(report.total)} in total`);
+  if (report.total.unpriced.length > 0) {
+    console.log(`No price in modelPrices for: ${report.total.unpriced.join(', ')} (counted as $0)`);
+  }
+}
+
+/**
+ * list
+ */
+async function listCommand() {
+  const data = await readArticles();
+  const posts = [...data.posts].sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+
+  if (posts.length === 0) {
+    console.log('No articles yet.');
+    return;
+  }
+
+  const idWidth = Math.max(2, ...posts.map(p => String(p.id).length));
+  const categoryWidth = Math.max(8, ...posts.map(p => p.category.length));
+
+  console.log(`${'ID'.padEnd(idWidth)}  DATE        ${'CATEGORY'.padEnd(categoryWidth)}  TITLE`);
+  posts.forEach(post => {
+    const hidden = post.publishAt && new Date(post.publishAt) > new Date() ? ` (hidden until ${formatPublishAt(post.publishAt)})` : '';
+    console.log(`${String(post.id).padEnd(idWidth)}  ${post.date}  ${post.category.padEnd(categoryWidth)}  ${post.title}${hidden}`);
+  });
+  console.log(`\n${posts.length} article(s)`);
+}
+
+/**
+ * Render article HTML as plain text for the terminal
+ * @param {string} html - Article content
+ * @returns {string} Text with headings, paragraphs and bullets on their own lines
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<h\d[^>]*>/gi, '\n## ')
+    .replace(/<li[^>]*>/gi, '\n  • ')
+    .replace(/<img\b[^>]*?\balt=(["'])(.*?)\1[^>]*>/gi, '\n[Image: $2]\n')
+    .replace(/<\/(h\d|p|ul|ol|figure|blockquote)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * review [id] [--all]
+ * Without an ID, lists drafts waiting for review (--all includes rejected ones)
+ */
+async function reviewCommand(args, flags) {
+  const [id] = args;
+
+  if (!id) {
+    const drafts = await listDrafts({ all: flags.has('--all') });
+    if (drafts.length === 0) {
+      console.log('No drafts waiting for review.');
+      return;
+    }
+
+    const live = new Set((await readArticles()).posts.map(p => p.id));
+    const idWidth = Math.max(2, ...drafts.map(d => d.id.length));
+    console.log(`${'ID'.padEnd(idWidth)}  STATUS     DRAFTED     PUBLISH AT        TITLE`);
+    drafts.forEach(draft => {
+      const note = live.has(draft.id) ? '  (replaces live article)' : '';
+      const publishAt = draft.publishAt ? formatPublishAt(draft.publishAt) : '-';
+      console.log(`${draft.id.padEnd(idWidth)}  ${draft.status.padEnd(9)}  ${draft.draftedAt.slice(0, 10)}  ${publishAt.padEnd(16)}  ${draft.title}${note}`);
+    });
+    console.log(`\n${drafts.length} draft(s). Preview one with: review <id>`);
+    return;
+  }
+
+  const preview = await previewPublish(id);
+  const { draft } = preview;
+
+  console.log(`Draft ${draft.id} (${draft.status}${draft.rejectReason ? `: ${draft.rejectReason}` : ''})\n`);
+  console.log(`Title:    ${draft.title}`);
+  console.log(`Category: ${draft.category}`);
+  console.log(`Author:   ${draft.author}`);
+  if (draft.episode) {
+    console.log(`Episode:  ${draft.episode}${draft.recordingDate ? ` (recorded ${draft.recordingDate})` : ''}`);
+  }
+  if (draft.guests) {
+    console.log(`Guests:   ${draft.guests.join(', ')}`);
+  }
+  console.log(`Tags:     ${draft.tags.join(', ')}`);
+  console.log(`Image:    ${draft.image}`);
+  if (draft.imageAlt) {
+    console.log(`Alt:      ${draft.imageAlt}`);
+  }
+  if (draft.imageCredit) {
+    console.log(`Credit:   ${draft.imageCredit.author} on ${draft.imageCredit.source || draft.imageCredit.sourceUrl} (${draft.imageCredit.license})`);
+  } else if (!draft.image.startsWith('/')) {
+    console.log('Credit:   none - add an imageCredit before publishing, or "npm run validate" will flag this remote image');
+  }
+  console.log(`Slug:     ${preview.article.slug}`);
+  if (draft.publishAt) {
+    console.log(`Publish:  ${formatPublishAt(draft.publishAt)}`);
+  }
+  console.log(`\n${draft.excerpt}\n`);
+  console.log(htmlToText(draft.content));
+
+  if (preview.replaces) {
+    console.log(`\nPublishing replaces the live article "${preview.replaces.title}". articles.json diff:`);
+    console.log(diffLines(preview.before, preview.after) || '(no changes)');
+  }
+
+  console.log(`\nPublish with: publish ${draft.id}    Reject with: reject ${draft.id} [reason]`);
+}
+
+/**
+ * publish <id> [--now]
+ */
+async function publishCommand(args, flags) {
+  const [id] = args;
+  if (!id) {
+    throw new Error('Usage: simply-nerdy publish <id> [--now]');
+  }
+
+  const article = await publishDraft(id, { now: flags.has('--now') });
+
+  if (article.publishAt && new Date(article.publishAt) > new Date()) {
+    console.log(`Published article ${article.id} for ${formatPublishAt(article.publishAt)}: ${article.title}`);
+    console.log('Commit and push data/articles.json and images/articles/ now; the site keeps it hidden until then.');
+    return;
+  }
+
+  console.log(`Published article ${article.id}: ${article.title}`);
+  console.log('Commit and push data/articles.json and images/articles/ to put it on the site.');
+}
+
+/**
+ * schedule <id> <when|none>
+ * Sets publishAt on a draft, or on a live article (which is then hidden until that time)
+ */
+async function scheduleCommand(args) {
+  const [id, ...when] = args;
+  if (!id || when.length === 0) {
+    throw new Error('Usage: simply-nerdy schedule <id> <YYYY-MM-DD [HH:MM]|none>');
+  }
+
+  const publishAt = when.join(' ') === 'none' ? undefined : parsePublishAt(when.join(' '));
+  const label = publishAt ? formatPublishAt(publishAt) : 'no publish time';
+
+  if (await getDraft(id)) {
+    await updateDraft(id, { publishAt });
+    console.log(`Draft ${id}: ${label}`);
+    return;
+  }
+
+  const article = await findArticle(id);
+  await updateArticle(article.id, { publishAt });
+  console.log(`Article ${article.id}: ${label}${publishAt && new Date(publishAt) > new Date() ? ' (hidden on the site until then)' : ''}`);
+}
+
+/**
+ * reject <id> [reason]
+ */
+async function rejectCommand(args) {
+  const [id, ...reason] = args;
+  if (!id) {
+    throw new Error('Usage: simply-nerdy reject <id> [reason]');
+  }
+
+  const draft = await rejectDraft(id, reason.join(' '));
+  console.log(`Rejected draft ${draft.id}: ${draft.title}`);
+}
+
+/**
+ * show <id>
+ */
+async function showCommand(args) {
+  const [id] = args;
+  if (!id) {
+    throw new Error('Usage: simply-nerdy show <id>');
+  }
+
+  const article = await findArticle(id);
+  console.log(JSON.stringify(article, null, 2));
+}
+
+/**
+ * update <id> <field=value>...
+ * Values starting with [ or { are parsed as JSON (e.g., tags='["a","b","c"]')
+ */
+async function updateCommand(args) {
+  const [id, ...assignments] = args;
+  if (!id || assignments.length === 0) {
+    throw new Error('Usage: simply-nerdy update <id> <field=value>...');
+  }
+
+  const article = await findArticle(id);
+
+  const patch = {};
+  assignments.forEach(assignment => {
+    const separator = assignment.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Expected field=value, got: ${assignment}`);
+    }
+
+    const field = assignment.slice(0, separator);
+    const value = assignment.slice(separator + 1);
+    if (field === 'publishAt') {
+      patch[field] = value ? parsePublishAt(value) : undefined;
+    } else {
+      patch[field] = /^[[{]/.test(value) ? JSON.parse(value) : value;
+    }
+  });
+
+  const { changes } = await updateArticle(article.id, patch);
+
+  if (changes.length === 0) {
+    console.log(`No changes to article ${article.id}`);
+    return;
+  }
+
+  console.log(`Updated article ${article.id}:`);
+  changes.forEach(change => {
+    console.log(`  ${change.field}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`);
+  });
+}
+
+/**
+ * remove <id>
+ */
+async function removeCommand(args) {
+  const [id] = args;
+  if (!id) {
+    throw new Error('Usage: simply-nerdy remove <id>');
+  }
+
+  const article = await findArticle(id);
+  const removed = await deleteArticle(article.id);
+
+  console.log(`Removed article ${removed.id}: ${removed.title}`);
+}
+
+/**
+ * backups
+ */
+async function backupsCommand() {
+  const backups = await listBackups();
+
+  if (backups.length === 0) {
+    console.log('No backups yet.');
+    return;
+  }
+
+  const nameWidth = Math.max(...backups.map(b => b.name.length));
+  console.log(`${'BACKUP'.padEnd(nameWidth)}  TAKEN                POSTS`);
+  backups.forEach(backup => {
+    const taken = backup.date ? backup.date.toLocaleString('sv-SE') : 'unknown';
+    const posts = backup.posts === null ? 'corrupt' : backup.posts;
+    console.log(`${backup.name.padEnd(nameWidth)}  ${taken.padEnd(19)}  ${posts}`);
+  });
+}
+
+/**
+ * diff [backup]
+ */
+async function diffCommand(args) {
+  const [ref] = args;
+  const result = await diffBackup(ref);
+
+  console.log(`Changes from ${result.backup} to current articles.json:`);
+  console.log(`  added:   ${result.added.join(', ') || '-'}`);
+  console.log(`  removed: ${result.removed.join(', ') || '-'}`);
+  console.log(`  changed: ${result.changed.join(', ') || '-'}\n`);
+  console.log(result.diff || '(no differences)');
+}
+
+/**
+ * restore [backup]
+ */
+async function restoreCommand(args) {
+  const [ref] = args;
+  const restored = await restoreFromBackup(ref);
+  console.log(`Restored articles.json from ${restored}`);
+}
+
+const COMMANDS = {
+  process: { usage: 'process <file> [--dry-run] [--regenerate] [--publish-at=<when>] [--format=<name>] [--provider=<name>]', description: 'Process a single transcript into a draft', run: processCommand },
+  watch: { usage: 'watch', description: 'Watch the incoming folder for new transcripts', run: watchCommand },
+  retry: { usage: 'retry [file...] [--fresh]', description: 'Re-queue failed transcripts (resuming at the step that failed)', run: retryCommand },
+  queue: { usage: 'queue', description: 'Show transcript jobs and their progress', run: queueCommand },
+  stats: { usage: 'stats [--month=YYYY-MM]', description: 'Show model usage and cost per month and per article', run: statsCommand },
+  review: { usage: 'review [id] [--all]', description: 'List drafts, or preview one before publishing', run: reviewCommand },
+  publish: { usage: 'publish <id> [--now]', description: 'Move a draft into articles.json (hidden on the site until its publish time, if it has one)', run: publishCommand },
+  schedule: { usage: 'schedule <id> <when|none>', description: 'Set the publish date/time of a draft or article', run: scheduleCommand },
+  reject: { usage: 'reject <id> [reason]', description: 'Reject a draft', run: rejectCommand },
+  list: { usage: 'list', description: 'List articles in articles.json', run: listCommand },
+  show: { usage: 'show <id>', description: 'Print one article as JSON', run: showCommand },
+  update: { usage: 'update <id> <field=value>...', description: 'Change fields of an article', run: updateCommand },
+  remove: { usage: 'remove <id>', description: 'Delete an article (backup is taken first)', run: removeCommand },
+  backups: { usage: 'backups', description: 'List articles.json backups', run: backupsCommand },
+  diff: { usage: 'diff [backup]', description: 'Show changes between a backup and the current file', run: diffCommand },
+  restore: { usage: 'restore [backup]', description: 'Restore a backup by name or timestamp (newest by default)', run: restoreCommand }
+};
+
+/**
+ * Print usage information
+ */
+function printHelp() {
+  console.log('Usage: simply-nerdy <command> [options]\n');
+  console.log('Commands:');
+  const width = Math.max(...Object.values(COMMANDS).map(c => c.usage.length));
+  Object.values(COMMANDS).forEach(command => {
+    console.log(`  ${command.usage.padEnd(width)}  ${command.description}`);
+  });
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const [name, ...rest] = process.argv.slice(2);
+  const args = rest.filter(arg => !arg.startsWith('--'));
+  const flags = new Set(rest.filter(arg => arg.startsWith('--')));
+
+  if (!name || name === 'help' || name === '--help') {
+    printHelp();
+    return;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Unknown command: ${name}\n`);
+    printHelp();
+    process.exit(1);
+  }
+
+  try {
+    await command.run(args, flags);
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+}
+
+// Run if this is the main module (resolving the npm bin symlink)
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+  main();
+}
+
+export { COMMANDS };
@@ -0,0 +1,382 @@
+/**
+ * Simply Nerdy - Drafts Manager
+ * Generated articles wait here for review before they go into articles.json
+ *
+ * The drafts store (settings.draftsJsonPath) lives outside the deployed data/
+ * folder, so nothing reaches the site until someone publishes it. It is
+ * committed like the articles, so drafts survive a fresh checkout. Drafts share
+ * the ID sequence of articles.json; a draft with the ID of a published article
+ * replaces that article when it is published (used by --regenerate).
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger, generateId, getCurrentDate, writeFileAtomic, withFileLock, fileExists } from './utils.js';
+import {
+  readArticles,
+  getNextArticleId,
+  validateArticleStructure,
+  appendArticle,
+  updateArticle,
+  previewAppend,
+  previewUpdate
+} from './articles-manager.js';
+import { articleImagePaths, deleteArticleImages } from './image-handler.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Bookkeeping fields that stay in the drafts store
+const DRAFT_ONLY_FIELDS = ['draftedAt', 'rejectedAt', 'rejectReason'];
+
+let settings = null;
+
+/**
+ * Load settings from config file
+ * @returns {Promise<Object>} Settings object
+ */
+async function loadSettings() {
+  if (settings) return settings;
+
+  const settingsPath = path.resolve(__dirname, '../config/settings.json');
+  const content = await fs.readFile(settingsPath, 'utf8');
+  settings = JSON.parse(content);
+  return settings;
+}
+
+/**
+ * Get absolute path to the drafts store
+ * @returns {Promise<string>} Absolute path
+ */
+async function getDraftsPath() {
+  const config = await loadSettings();
+  return path.resolve(__dirname, '..', config.draftsJsonPath);
+}
+
+/**
+ * Read the drafts store
+ * @returns {Promise<Object>} Drafts data { drafts: [] }
+ */
+export async function readDrafts() {
+  const draftsPath = await getDraftsPath();
+
+  if (!(await fileExists(draftsPath))) {
+    return { drafts: [] };
+  }
+
+  return JSON.parse(await fs.readFile(draftsPath, 'utf8'));
+}
+
+/**
+ * Read-modify-write the drafts store under its lock
+ * @param {Function} modify - Receives the drafts data, changes it in place and returns a result
+ * @returns {Promise<any>} Whatever modify returned
+ */
+async function modifyDrafts(modify) {
+  const config = await loadSettings();
+  const draftsPath = await getDraftsPath();
+  await fs.mkdir(path.dirname(draftsPath), { recursive: true });
+
+  return withFileLock(`${draftsPath}.lock`, async () => {
+    const data = await readDrafts();
+    const result = await modify(data);
+    await writeFileAtomic(draftsPath, JSON.stringify(data, null, 2));
+    return result;
+  }, {
+    timeoutMs: config.lockTimeoutMs,
+    staleMs: config.lockStaleMs
+  });
+}
+
+/**
+ * Get the next ID that is free in both articles.json and the drafts store
+ * @param {Object} data - Drafts data
+ * @returns {Promise<string>} Next ID (zero-padded, e.g., "007")
+ */
+async function getNextDraftId(data) {
+  const nextArticleId = parseInt(await getNextArticleId(), 10);
+  const maxDraftId = Math.max(0, ...data.drafts.map(d => parseInt(d.id, 10)).filter(n => !isNaN(n)));
+
+  return generateId(String(Math.max(nextArticleId - 1, maxDraftId)));
+}
+
+/**
+ * Find a draft by ID
+ * @param {string} id - Draft ID
+ * @returns {Promise<Object|null>} Draft, or null if there is none
+ */
+export async function getDraft(id) {
+  const data = await readDrafts();
+  return data.drafts.find(d => d.id === id) || null;
+}
+
+/**
+ * List drafts
+ * @param {Object} options - List options
+ * @param {boolean} options.all - Include rejected drafts
+ * @returns {Promise<Object[]>} Drafts, oldest first
+ */
+export async function listDrafts(options = {}) {
+  const data = await readDrafts();
+  return options.all ? data.drafts : data.drafts.filter(d => d.status !== 'rejected');
+}
+
+/**
+ * Check whether a publishAt timestamp is still ahead
+ * @param {string} [publishAt] - ISO timestamp
+ * @returns {boolean} True if set and in the future
+ */
+function isFuture(publishAt) {
+  return Boolean(publishAt) && new Date(publishAt) > new Date();
+}
+
+/**
+ * Find the draft generated from a transcript (including rejected ones)
+ * @param {string} transcriptHash - Hash from hashTranscript()
+ * @returns {Promise<Object|null>} Matching draft, or null
+ */
+export async function findDraftByTranscriptHash(transcriptHash) {
+  const data = await readDrafts();
+  return data.drafts.find(d => d.transcriptHash === transcriptHash) || null;
+}
+
+/**
+ * Put a draft into an in-memory drafts store
+ * A draft without an ID gets the next free one; a draft with an ID replaces
+ * any draft already stored under it.
+ * @param {Object} data - Drafts data (mutated)
+ * @param {Object} article - Article fields
+ * @returns {Promise<Object>} Stored draft
+ */
+async function applySaveDraft(data, article) {
+  const draft = {
+    id: article.id || await getNextDraftId(data),
+    ...article,
+    status: 'draft',
+    draftedAt: new Date().toISOString()
+  };
+  delete draft.rejectedAt;
+  delete draft.rejectReason;
+
+  const validation = await validateArticleStructure(draft);
+  if (!validation.valid) {
+    throw new Error(`Article validation failed:\n${validation.errors.join('\n')}`);
+  }
+
+  const index = data.drafts.findIndex(d => d.id === draft.id);
+  if (index === -1) {
+    data.drafts.push(draft);
+  } else {
+    data.drafts[index] = draft;
+  }
+
+  return draft;
+}
+
+/**
+ * Save an article as a draft
+ * @param {Object} article - Article fields (id optional, see applySaveDraft)
+ * @returns {Promise<Object>} Stored draft
+ */
+export async function saveDraft(article) {
+  const draft = await modifyDrafts(data => applySaveDraft(data, article));
+  logger.info(`Saved draft ${draft.id}: ${draft.title}`);
+  return draft;
+}
+
+/**
+ * Preview saving a draft without touching anything on disk
+ * @param {Object} article - Article fields
+ * @returns {Promise<Object>} { article, before, after } - stored draft and drafts store contents
+ */
+export async function previewSaveDraft(article) {
+  const data = await readDrafts();
+  const before = JSON.stringify(data, null, 2);
+  const draft = await applySaveDraft(data, structuredClone(article));
+
+  return {
+    article: draft,
+    before,
+    after: JSON.stringify(data, null, 2)
+  };
+}
+
+/**
+ * Update fields of a draft
+ * @param {string} id - Draft ID
+ * @param {Object} patch - Fields to change (undefined removes a field; ID and status cannot be changed)
+ * @returns {Promise<Object>} Updated draft
+ */
+export async function updateDraft(id, patch) {
+  const draft = await modifyDrafts(async data => {
+    const index = data.drafts.findIndex(d => d.id === id);
+    if (index === -1) {
+      throw new Error(`Draft not found: ${id}`);
+    }
+
+    const updated = { ...data.drafts[index], ...patch, id, status: data.drafts[index].status };
+    Object.keys(patch).filter(field => patch[field] === undefined).forEach(field => delete updated[field]);
+
+    const validation = await validateArticleStructure(updated);
+    if (!validation.valid) {
+      throw new Error(`Article validation failed:\n${validation.errors.join('\n')}`);
+    }
+
+    data.drafts[index] = updated;
+    return updated;
+  });
+
+  logger.info(`Updated draft ${id}: ${Object.keys(patch).join(', ')}`);
+  return draft;
+}
+
+/**
+ * Turn a draft into the article that publishing it would write
+ * @param {Object} draft - Draft
+ * @param {boolean} replacing - Draft replaces an article already in articles.json
+ * @returns {Object} Article with status "published"
+ */
+function toPublishedArticle(draft, replacing) {
+  const article = { ...draft, status: 'published' };
+  DRAFT_ONLY_FIELDS.forEach(field => delete article[field]);
+
+  // New articles are dated the day they go live (or were scheduled to); replacements keep their date
+  if (!replacing) {
+    article.date = getCurrentDate(draft.publishAt ? new Date(draft.publishAt) : new Date());
+  }
+
+  return article;
+}
+
+/**
+ * Preview the articles.json change publishing a draft would make
+ * The draft doesn't have to be in the store yet (dry runs preview a new one).
+ * @param {Object} draft - Draft with an ID
+ * @returns {Promise<Object>} { draft, replaces, article, before, after } - replaces is the
+ *   published article being overwritten (or null), before/after are articles.json contents
+ */
+export async function previewPublishDraft(draft) {
+  const data = await readArticles();
+  const replaces = data.posts.find(p => p.id === draft.id) || null;
+  const article = toPublishedArticle(draft, Boolean(replaces));
+
+  const preview = replaces
+    ? await previewUpdate(draft.id, article)
+    : await previewAppend(article);
+
+  return { draft, replaces, ...preview };
+}
+
+/**
+ * Preview publishing a draft
+ * @param {string} id - Draft ID
+ * @returns {Promise<Object>} See previewPublishDraft
+ */
+export async function previewPublish(id) {
+  const draft = await getDraft(id);
+  if (!draft) {
+    throw new Error(`Draft not found: ${id}`);
+  }
+
+  return previewPublishDraft(draft);
+}
+
+/**
+ * Publish a draft: write it to articles.json and remove it from the drafts store
+ * A draft whose publishAt is still ahead is written with it, so the site keeps
+ * it hidden until then; a draft replacing a live article can't be scheduled,
+ * since that would hide the live one too.
+ * @param {string} id - Draft ID
+ * @param {Object} options - Publish options
+ * @param {boolean} options.now - Ignore publishAt and publish right away
+ * @returns {Promise<Object>} Published article
+ */
+export async function publishDraft(id, options = {}) {
+  const { now = false } = options;
+
+  return modifyDrafts(async data => {
+    const index = data.drafts.findIndex(d => d.id === id);
+    if (index === -1) {
+      throw new Error(`Draft not found: ${id}`);
+    }
+
+    const draft = data.drafts[index];
+    if (draft.status === 'rejected') {
+      throw new Error(`Draft ${id} is rejected; regenerate it before publishing`);
+    }
+
+    if (now) {
+      delete draft.publishAt;
+    }
+
+    const articles = await readArticles();
+    const replacing = articles.posts.some(p => p.id === id);
+    if (replacing && isFuture(draft.publishAt)) {
+      throw new Error(`Draft ${id} replaces a live article, which publishAt ${draft.publishAt} would hide until then; publish it with --now`);
+    }
+
+    const article = toPublishedArticle(draft, replacing);
+    if (replacing) {
+      await updateArticle(id, article);
+    } else {
+      await appendArticle(article);
+    }
+
+    data.drafts.splice(index, 1);
+    const when = isFuture(article.publishAt) ? ` (live at ${article.publishAt})` : '';
+    logger.info(`Published draft ${id}: ${article.title}${replacing ? ' (replaced the live article)' : when}`);
+    return article;
+  });
+}
+
+/**
+ * Reject a draft
+ * It stays in the store so the same transcript is not drafted again unless
+ * it is reprocessed with --regenerate. Images downloaded for it that no
+ * article or other draft uses are deleted.
+ * @param {string} id - Draft ID
+ * @param {string} [reason] - Why it was rejected
+ * @returns {Promise<Object>} Rejected draft
+ */
+export async function rejectDraft(id, reason) {
+  const draft = await modifyDrafts(data => {
+    const found = data.drafts.find(d => d.id === id);
+    if (!found) {
+      throw new Error(`Draft not found: ${id}`);
+    }
+
+    found.status = 'rejected';
+    found.rejectedAt = new Date().toISOString();
+    if (reason) {
+      found.rejectReason = reason;
+    }
+    return found;
+  });
+
+  logger.info(`Rejected draft ${id}: ${draft.title}`);
+
+  // Images downloaded for the draft would otherwise be left behind in the site
+  const [articles, drafts] = await Promise.all([readArticles(), readDrafts()]);
+  const inUse = [...articles.posts, ...drafts.drafts.filter(d => d.id !== id && d.status !== 'rejected')]
+    .flatMap(articleImagePaths);
+  const deleted = await deleteArticleImages(draft, inUse);
+  if (deleted.length > 0) {
+    logger.info(`Deleted its images: ${deleted.join(', ')}`);
+  }
+  return draft;
+}
+
+export default {
+  readDrafts,
+  getDraft,
+  listDrafts,
+  findDraftByTranscriptHash,
+  saveDraft,
+  previewSaveDraft,
+  updateDraft,
+  previewPublishDraft,
+  previewPublish,
+  publishDraft,
+  rejectDraft
+};
@@ -0,0 +1,287 @@
+/**
+ * Simply Nerdy - Episode Metadata
+ * Turns transcript front-matter into episode details for the prompt and article
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger, generateSlug } from './utils.js';
+import { normalizeSpeaker } from './speakers.js';
+import { parseTimestamp } from './captions.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+let settings = null;
+
+// Front-matter keys (lowercased, without "-" and "_") and the field they set
+const FIELD_ALIASES = {
+  episode: 'episode',
+  episodenumber: 'episode',
+  hosts: 'hosts',
+  host: 'hosts',
+  recordingdate: 'recordingDate',
+  recorded: 'recordingDate',
+  category: 'category',
+  videoid: 'videoId',
+  youtube: 'videoId',
+  youtubeid: 'videoId',
+  guests: 'guests',
+  guest: 'guests',
+  tags: 'tags',
+  format: 'format'
+};
+
+// Metadata fields copied onto the article as they are
+export const EPISODE_FIELDS = ['episode', 'hosts', 'guests', 'recordingDate', 'videoId'];
+
+// Most tags an article may have, as in the save_article schema
+const MAX_TAGS = 5;
+
+/**
+ * Load settings from config file
+ * @returns {Promise<Object>} Settings object
+ */
+async function loadSettings() {
+  if (settings) return settings;
+
+  const settingsPath = path.resolve(__dirname, '../config/settings.json');
+  const content = await fs.readFile(settingsPath, 'utf8');
+  settings = JSON.parse(content);
+  return settings;
+}
+
+/**
+ * Read a list field written as an array or a comma-separated string
+ * @param {any} value - Front-matter value
+ * @returns {string[]|null} Trimmed, non-empty names, or null if not a list
+ */
+function toNameList(value) {
+  const items = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(items)) return null;
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Extract a YouTube video ID from an ID or a watch/share/embed URL
+ * @param {any} value - Front-matter value
+ * @returns {string|null} 11-character video ID, or null if none found
+ */
+function toVideoId(value) {
+  const text = String(value).trim();
+  const match = text.match(/^[\w-]{11}$/) ||
+    text.match(/(?:youtu\.be\/|[?&]v=|\/embed\/|\/shorts\/|\/live\/)([\w-]{11})(?![\w-])/);
+  return match ? match[1] || match[0] : null;
+}
+
+/**
+ * Validate transcript front-matter and map it to episode metadata
+ * Keys are matched loosely ("Recording Date", recording_date, recorded);
+ * unknown keys are logged and ignored. Names of roster hosts (settings.hosts)
+ * are written the roster's way, so "steve" becomes "Steven".
+ * @param {Object} data - Parsed front-matter (see parseFrontMatter)
+ * @returns {Promise<Object>} Metadata { episode, hosts, guests, recordingDate, category, videoId, tags, format }, only the fields given
+ * @throws {Error} Listing every invalid field
+ */
+export async function normalizeEpisodeMetadata(data) {
+  const config = await loadSettings();
+  const metadata = {};
+  const errors = [];
+
+  Object.entries(data).forEach(([key, value]) => {
+    const field = FIELD_ALIASES[key.toLowerCase().replace(/[\s_-]/g, '')];
+    if (!field) {
+      logger.warn(`Ignoring unknown front-matter field "${key}"`);
+      return;
+    }
+    if (value === null || value === '') return;
+
+    switch (field) {
+      case 'episode': {
+        const episode = Number(value);
+        if (Number.isInteger(episode) && episode > 0) metadata.episode = episode;
+        else errors.push(`episode must be a positive whole number (got "${value}")`);
+        break;
+      }
+      case 'hosts':
+      case 'guests': {
+        const names = toNameList(value);
+        if (names && names.length > 0) metadata[field] = names.map(name => normalizeSpeaker(name, config.hosts));
+        else errors.push(`${field} must be a name or a list of names`);
+        break;
+      }
+      case 'tags': {
+        const tags = toNameList(value);
+        if (tags) metadata.tags = [...new Set(tags.map(generateSlug).filter(Boolean))];
+        else errors.push('tags must be a list');
+        break;
+      }
+      case 'recordingDate': {
+        const date = String(value).trim();
+        if (/^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(Date.parse(date))) metadata.recordingDate = date;
+        else errors.push(`recordingDate must be YYYY-MM-DD (got "${value}")`);
+        break;
+      }
+      case 'category': {
+        const category = config.categories.find(c => c.toLowerCase() === String(value).trim().toLowerCase());
+        if (category) metadata.category = category;
+        else errors.push(`category must be one of: ${config.categories.join(', ')} (got "${value}")`);
+        break;
+      }
+      case 'videoId': {
+        const videoId = toVideoId(value);
+        if (videoId) metadata.videoId = videoId;
+        else errors.push(`videoId must be a YouTube video ID or URL (got "${value}")`);
+        break;
+      }
+      default:
+        metadata[field] = String(value).trim();
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid front-matter:\n${errors.join('\n')}`);
+  }
+
+  return metadata;
+}
+
+/**
+ * Join names for display: "Alex", "Alex & Sam", "Alex, Sam & Jo"
+ * @param {string[]} names - Names
+ * @returns {string} Joined names
+ */
+export function joinNames(names) {
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}`
+    : names.join('');
+}
+
+/**
+ * Describe the episode for the prompt ({{EPISODE_DETAILS}})
+ * @param {Object} metadata - Episode metadata
+ * @returns {string} One detail per line
+ */
+export function describeEpisode(metadata = {}) {
+  const lines = [];
+
+  if (metadata.episode) lines.push(`- Episode number: ${metadata.episode}`);
+  if (metadata.hosts) lines.push(`- Hosts: ${metadata.hosts.join(', ')}`);
+  if (metadata.guests) lines.push(`- Guests: ${metadata.guests.join(', ')}`);
+  if (metadata.speakers) lines.push(`- Speakers labelled in the transcript: ${metadata.speakers.join(', ')}`);
+  if (metadata.recordingDate) lines.push(`- Recorded on: ${metadata.recordingDate}`);
+  if (metadata.category) lines.push(`- Category: ${metadata.category} (use exactly this category)`);
+  if (metadata.tags && metadata.tags.length > 0) lines.push(`- Tags to include: ${metadata.tags.join(', ')}`);
+
+  return lines.length > 0
+    ? `${lines.join('\n')}\nRefer to hosts and guests by these names.`
+    : 'None given.';
+}
+
+const HEADING_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+/**
+ * Reduce a heading to plain text, for matching model headings to the content
+ * @param {string} html - Heading HTML
+ * @returns {string} Text without tags, entities or extra whitespace
+ */
+export function headingText(html) {
+  return html
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(?:amp|lt|gt|quot|#39|nbsp);/g, entity => HEADING_ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Match the model's section timestamps to the <h4> headings of the content
+ * Headings the content doesn't have are dropped with a warning, and each
+ * heading keeps its first timestamp.
+ * @param {Object[]} sections - Model sections [{ heading, start: "12:34" }]
+ * @param {string} content - Sanitized article HTML
+ * @returns {Object[]} Sections [{ heading, start }] in content order, start in whole seconds
+ */
+export function matchSections(sections, content) {
+  const headings = [...content.matchAll(/<h4[^>]*>([\s\S]*?)<\/h4>/gi)].map(match => headingText(match[1]));
+  const starts = new Map();
+
+  sections.forEach(section => {
+    const heading = headings.find(h => h.toLowerCase() === headingText(section.heading).toLowerCase());
+    if (!heading) {
+      logger.warn(`Dropping timestamp for "${section.heading}": no such <h4> heading in the article`);
+      return;
+    }
+    if (!starts.has(heading)) starts.set(heading, Math.floor(parseTimestamp(section.start)));
+  });
+
+  return headings
+    .filter(heading => starts.has(heading))
+    .map(heading => ({ heading, start: starts.get(heading) }));
+}
+
+/**
+ * Apply forced fields to the model's article data
+ * The front-matter category wins, and front-matter tags come first, the
+ * model's filling up to MAX_TAGS. Section timestamps are only kept when
+ * there's a video to jump around in.
+ * @param {Object} articleData - Validated model output
+ * @param {Object} metadata - Episode metadata
+ * @returns {Object} The same article data
+ */
+export function applyEpisodeMetadata(articleData, metadata = {}) {
+  if (metadata.category && articleData.category !== metadata.category) {
+    logger.info(`Using front-matter category "${metadata.category}" (model chose "${articleData.category}")`);
+    articleData.category = metadata.category;
+  }
+
+  if (metadata.tags && metadata.tags.length > 0) {
+    const tags = [...new Set([...metadata.tags, ...articleData.tags])];
+    if (metadata.tags.length > MAX_TAGS) {
+      logger.warn(`Front-matter has ${metadata.tags.length} tags; keeping the first ${MAX_TAGS}`);
+    }
+    articleData.tags = tags.slice(0, MAX_TAGS);
+  }
+
+  const sections = metadata.videoId && Array.isArray(articleData.sections)
+    ? matchSections(articleData.sections, articleData.content)
+    : [];
+  if (sections.length > 0) {
+    logger.info(`✓ Timestamped ${sections.length} sections for video ${metadata.videoId}`);
+    articleData.sections = sections;
+  } else {
+    delete articleData.sections;
+  }
+
+  return articleData;
+}
+
+/**
+ * Article fields that come from the episode metadata
+ * The author is the hosts when known, otherwise settings.defaultAuthor.
+ * @param {Object} metadata - Episode metadata
+ * @returns {Promise<Object>} { author, episode?, hosts?, guests?, recordingDate?, videoId? }
+ */
+export async function buildEpisodeFields(metadata = {}) {
+  const config = await loadSettings();
+  const fields = {
+    author: metadata.hosts ? joinNames(metadata.hosts) : config.defaultAuthor
+  };
+
+  EPISODE_FIELDS.forEach(field => {
+    if (field in metadata) fields[field] = metadata[field];
+  });
+
+  return fields;
+}
+
+export default {
+  EPISODE_FIELDS,
+  normalizeEpisodeMetadata,
+  joinNames,
+  describeEpisode,
+  headingText,
+  matchSections,
+  applyEpisodeMetadata,
+  buildEpisodeFields
+};
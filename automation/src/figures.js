@@ -0,0 +1,211 @@
+/**
+ * Simply Nerdy - Article Figures
+ * Finds images for the model's figures and places them in the content as
+ * <figure> blocks with captions, at the end of the sections they illustrate
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './utils.js';
+import { headingText } from './episode-metadata.js';
+import {
+  loadImageLibrary,
+  isUnsplashAvailable,
+  findUnsplashPhoto,
+  chosenImageFields,
+  saveArticleImage
+} from './image-handler.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+let settings = null;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Load settings from config file
+ * @returns {Promise<Object>} Settings object
+ */
+async function loadSettings() {
+  if (settings) return settings;
+
+  const settingsPath = path.resolve(__dirname, '../config/settings.json');
+  const content = await fs.readFile(settingsPath, 'utf8');
+  settings = JSON.parse(content);
+  return settings;
+}
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Find the image for one figure
+ * The model's library pick comes first, then a stock photo search.
+ * @param {Object} figure - Model figure { heading, image?, searchTerms?, alt, caption }
+ * @param {Object[]} library - Library images
+ * @param {string} category - Article category
+ * @param {Set<string>} used - Image URLs already in the article
+ * @returns {Promise<Object|null>} Chosen image { url, credit?, downloadLocation? }, or null if none fits
+ */
+async function findFigureImage(figure, library, category, used) {
+  if (figure.image) {
+    const image = library.find(entry => entry.file === figure.image);
+    if (!image || (image.category && image.category !== category)) {
+      logger.warn(`Figure image ${figure.image} is not in the image library`);
+    } else if (used.has(image.file)) {
+      logger.warn(`Figure image ${figure.image} is already used in this article`);
+    } else {
+      return { url: image.file, ...(image.credit && { credit: image.credit }) };
+    }
+  }
+
+  if (!figure.searchTerms || figure.searchTerms.length === 0 || !(await isUnsplashAvailable())) {
+    return null;
+  }
+
+  try {
+    const photo = await findUnsplashPhoto(figure.searchTerms);
+    return photo && !used.has(photo.url) ? photo : null;
+  } catch (error) {
+    logger.warn(`Stock photo search for a figure failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Find and save the images of the model's figures
+ * Figures are kept for the first settings.maxArticleFigures sections they
+ * name, one per section. A figure without a usable image is dropped rather
+ * than given a generic one, and stock photos that can't be saved into the
+ * site are dropped too, so inline images are never hotlinked.
+ * @param {Object[]} figures - Model figures [{ heading, image?, searchTerms?, alt, caption }]
+ * @param {Object} options - Figure options
+ * @param {string} options.content - Article HTML the figures go into
+ * @param {string} options.category - Article category
+ * @param {string} options.slug - Article slug, used for the saved filenames
+ * @param {string[]} [options.exclude] - Image URLs already in the article (the featured image)
+ * @param {boolean} [options.dryRun] - Look images up without downloading them
+ * @returns {Promise<Object[]>} Figures [{ heading, src, alt, caption, imageSizes?, credit? }] for insertFigures
+ */
+export async function resolveFigures(figures, options) {
+  const config = await loadSettings();
+  const library = await loadImageLibrary();
+  const headings = [...options.content.matchAll(/<h4[^>]*>([\s\S]*?)<\/h4>/gi)]
+    .map(match => headingText(match[1]).toLowerCase());
+  const used = new Set(options.exclude || []);
+  const placed = new Set();
+  const resolved = [];
+
+  for (const figure of figures || []) {
+    if (resolved.length >= config.maxArticleFigures) break;
+
+    const heading = headingText(figure.heading).toLowerCase();
+    if (!headings.includes(heading)) {
+      logger.warn(`Dropping figure for "${figure.heading}": no such <h4> heading in the article`);
+      continue;
+    }
+    if (placed.has(heading)) {
+      logger.warn(`Dropping figure for "${figure.heading}": that section already has one`);
+      continue;
+    }
+
+    const chosen = await findFigureImage(figure, library, options.category, used);
+    if (!chosen) {
+      logger.warn(`Dropping figure for "${figure.heading}": no image found`);
+      continue;
+    }
+
+    let fields;
+    try {
+      fields = options.dryRun || chosen.url.startsWith('/')
+        ? chosenImageFields(chosen)
+        : await saveArticleImage(chosen, `${options.slug}-figure-${resolved.length + 1}`);
+    } catch (error) {
+      logger.warn(`Dropping figure for "${figure.heading}": ${error.message}`);
+      continue;
+    }
+
+    used.add(chosen.url);
+    placed.add(heading);
+    resolved.push({
+      heading: figure.heading,
+      src: fields.image,
+      alt: figure.alt.trim(),
+      caption: figure.caption.trim(),
+      ...(fields.imageSizes && { imageSizes: fields.imageSizes }),
+      ...(fields.imageCredit && { credit: fields.imageCredit })
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Build the credit line of a figure caption
+ * @param {Object} credit - Image credit { author, authorUrl?, source?, sourceUrl?, license?, licenseUrl? }
+ * @returns {string} HTML "Photo by X on Source · License", with http(s) links
+ */
+function creditHtml(credit) {
+  const link = (text, url) => (/^https?:\/\//.test(url || '')
+    ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(text)}</a>`
+    : escapeHtml(text));
+
+  return [
+    `Photo by ${link(credit.author, credit.authorUrl)}`,
+    credit.source ? ` on ${link(credit.source, credit.sourceUrl)}` : '',
+    credit.license ? ` · ${link(credit.license, credit.licenseUrl)}` : ''
+  ].join('');
+}
+
+/**
+ * Build the HTML of one figure
+ * @param {Object} figure - Resolved figure (see resolveFigures)
+ * @returns {string} <figure> block
+ */
+export function buildFigureHtml(figure) {
+  const srcset = figure.imageSizes
+    ? ` srcset="${escapeHtml(figure.imageSizes.map(size => `${size.src} ${size.width}w`).join(', '))}" sizes="(max-width: 968px) 100vw, 800px"`
+    : '';
+  const credit = figure.credit ? ` <span class="figure-credit">${creditHtml(figure.credit)}</span>` : '';
+
+  return `<figure><img src="${escapeHtml(figure.src)}" alt="${escapeHtml(figure.alt)}"${srcset}>` +
+    `<figcaption>${escapeHtml(figure.caption)}${credit}</figcaption></figure>`;
+}
+
+/**
+ * Insert figures into the content, each at the end of its section
+ * (right before the next <h4>, or at the end for the last section)
+ * @param {string} content - Article HTML
+ * @param {Object[]} figures - Resolved figures (see resolveFigures)
+ * @returns {string} Content with the figures in place
+ */
+export function insertFigures(content, figures) {
+  if (!figures || figures.length === 0) return content;
+
+  const headings = [...content.matchAll(/<h4[^>]*>([\s\S]*?)<\/h4>/gi)];
+  const inserts = figures
+    .map(figure => {
+      const i = headings.findIndex(match => headingText(match[1]).toLowerCase() === headingText(figure.heading).toLowerCase());
+      if (i === -1) return null;
+      return { at: i + 1 < headings.length ? headings[i + 1].index : content.length, html: buildFigureHtml(figure) };
+    })
+    .filter(Boolean)
+    // From the last section back, so the earlier positions stay valid
+    .sort((a, b) => b.at - a.at);
+
+  return inserts.reduce((html, insert) => `${html.slice(0, insert.at)}${insert.html}${html.slice(insert.at)}`, content);
+}
+
+export default {
+  resolveFigures,
+  buildFigureHtml,
+  insertFigures
+};
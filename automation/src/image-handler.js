@@ -1,9 +1,11 @@
 /**
  * Simply Nerdy - Image Handler
- * Handles Unsplash image fetching with fallback to defaults
+ * Picks the featured image: our own images from the image library first, then
+ * Unsplash, then category defaults. Outside images are saved into the site
+ * (settings.imagesFolder) so articles don't hotlink.
  */
 
-import { logger } from './utils.js';
+import { logger, writeFileAtomic, fileExists, generateSlug, listContentImages, isRemoteUrl } from './utils.js';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -13,6 +15,11 @@ const __dirname = path.dirname(__filename);
 
 let settings = null;
 
+const IMAGE_EXTENSIONS = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp', 'image/gif': '.gif' };
+
+// Used when settings.defaultImages has no entry for the category
+const GENERIC_DEFAULT_IMAGE = '/images/articles/defaults/generic.svg';
+
 /**
  * Load settings from config file
  * @returns {Promise<Object>} Settings object
@@ -26,67 +33,194 @@ async function loadSettings() {
   return settings;
 }
 
+/**
+ * Load the image library (settings.imageLibraryPath)
+ * A missing or unreadable library just means there are no own images to offer.
+ * @returns {Promise<Object[]>} Library images [{ file, tags, alt, category?, credit? }]
+ */
+export async function loadImageLibrary() {
+  const config = await loadSettings();
+  if (!config.imageLibraryPath) return [];
+
+  const libraryPath = path.resolve(__dirname, '..', config.imageLibraryPath);
+  if (!(await fileExists(libraryPath))) return [];
+
+  try {
+    const data = JSON.parse(await fs.readFile(libraryPath, 'utf8'));
+    return Array.isArray(data.images) ? data.images : [];
+  } catch (error) {
+    logger.warn(`Could not read the image library: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Library tags of an image that appear in any of the keyword phrases
+ * @param {Object} image - Library image
+ * @param {string[]} phrases - Keywords as "-slug-" phrases
+ * @returns {string[]} Matched tags, as slugs
+ */
+function matchedLibraryTags(image, phrases) {
+  const tags = [...new Set((image.tags || []).map(tag => generateSlug(String(tag))).filter(Boolean))];
+  return tags.filter(tag => phrases.some(phrase => phrase.includes(`-${tag}-`)));
+}
+
+/**
+ * Turn keywords into "-slug-" phrases for matchedLibraryTags
+ * @param {string[]} keywords - Tags or search terms
+ * @returns {string[]} Phrases
+ */
+function keywordPhrases(keywords) {
+  return keywords.map(keyword => `-${generateSlug(String(keyword))}-`).filter(phrase => phrase !== '--');
+}
+
+/**
+ * Find the library image that best fits an article
+ * Keywords and image tags are compared as slugs, and a tag matches when it
+ * appears as whole words in a keyword: "banjo" and "banjo-tooie" both match
+ * "Banjo Tooie review". The image matching the most tags wins, the first one
+ * listed on a tie. Images with a category are only offered to that category.
+ * @param {Object[]} library - Library images (see loadImageLibrary)
+ * @param {string[]} keywords - Article tags and image search terms
+ * @param {string} category - Article category
+ * @returns {{image: Object, matched: string[]}|null} Best image and the tags it matched, or null if none match
+ */
+export function matchLibraryImage(library, keywords, category) {
+  const phrases = keywordPhrases(keywords);
+  let best = null;
+
+  library.forEach(image => {
+    if (image.category && image.category !== category) return;
+
+    const matched = matchedLibraryTags(image, phrases);
+    if (matched.length > 0 && (!best || matched.length > best.matched.length)) {
+      best = { image, matched };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Pick the library images to offer the model for in-article figures
+ * Images of other categories are left out; with keywords (e.g. front-matter
+ * tags), the images matching the most of them come first.
+ * @param {Object} options - Selection options
+ * @param {string} [options.category] - Article category, if known
+ * @param {string[]} [options.keywords] - Keywords to rank by
+ * @param {number} [options.limit] - Most images to return
+ * @returns {Promise<Object[]>} Library images
+ */
+export async function listLibraryImages(options = {}) {
+  const { category, keywords = [], limit = Infinity } = options;
+  const phrases = keywordPhrases(keywords);
+
+  return (await loadImageLibrary())
+    .filter(image => !category || !image.category || image.category === category)
+    .map(image => ({ image, score: matchedLibraryTags(image, phrases).length }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ image }) => image);
+}
+
 /**
  * Get category default image
+ * settings.defaultImages entries are a site path (our own images, used in
+ * place) or an outside URL, as a string or { url, credit }. Outside
+ * defaults are saved into the site once, as "default-<category>", and
+ * shared by every article that falls back to them.
  * @param {string} category - Article category
- * @returns {Promise<string>} Image URL
+ * @returns {Promise<Object>} Chosen image { url, credit?, saveAs? }
  */
 export async function getCategoryDefaultImage(category) {
   const config = await loadSettings();
+  const entry = config.defaultImages && config.defaultImages[category];
+
+  if (!entry) {
+    logger.warn(`No default image for category: ${category}, using generic fallback`);
+    return { url: GENERIC_DEFAULT_IMAGE };
+  }
 
-  if (config.defaultImages && config.defaultImages[category]) {
-    return config.defaultImages[category];
+  const chosen = typeof entry === 'string' ? { url: entry } : { url: entry.url, ...(entry.credit && { credit: entry.credit }) };
+  if (chosen.url.startsWith('/')) {
+    return chosen;
   }
 
-  // Fallback to generic image if category not found
-  logger.warn(`No default image for category: ${category}, using generic fallback`);
-  return 'https://images.unsplash.com/photo-1516414447565-b14be0adf13e?w=800&h=400&fit=crop';
+  if (!chosen.credit) {
+    logger.warn(`Default image for ${category} has no credit; articles using it will fail validation`);
+  }
+  return { ...chosen, saveAs: `default-${generateSlug(category)}` };
 }
 
 /**
- * Search Unsplash for relevant image
+ * Check whether Unsplash can be searched (enabled and an API key is set)
+ * @returns {Promise<boolean>} True if searchUnsplash will call the API
+ */
+export async function isUnsplashAvailable() {
+  const config = await loadSettings();
+  return Boolean(config.unsplashEnabled && process.env.UNSPLASH_ACCESS_KEY);
+}
+
+/**
+ * Find a photo on Unsplash, without falling back to anything
  * @param {string[]} searchTerms - Keywords to search for
- * @param {string} category - Article category (for fallback)
- * @returns {Promise<string>} Image URL
+ * @returns {Promise<Object|null>} Chosen image { url, credit, downloadLocation }, or null if nothing was found
+ * @throws {Error} If the API request fails
  */
-export async function searchUnsplash(searchTerms, category) {
+export async function findUnsplashPhoto(searchTerms) {
   const config = await loadSettings();
+  logger.info(`Searching Unsplash for: ${searchTerms.join(', ')}`);
 
-  // If Unsplash is disabled or no API key, use default
-  if (!config.unsplashEnabled || !process.env.UNSPLASH_ACCESS_KEY) {
-    logger.info('Unsplash disabled or no API key, using category default image');
-    return getCategoryDefaultImage(category);
+  const query = searchTerms.join(' ');
+  const url = `https://api.unsplash.com/search/photos?query=${encodeURIComponent(query)}&orientation=landscape&per_page=5`;
+
+  const response = await fetch(url, {
+    headers: {
+      'Authorization': `Client-ID ${process.env.UNSPLASH_ACCESS_KEY}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Unsplash API error: ${response.status}`);
   }
 
-  try {
-    logger.info(`Searching Unsplash for: ${searchTerms.join(', ')}`);
+  const data = await response.json();
 
-    const query = searchTerms.join(' ');
-    const url = `https://api.unsplash.com/search/photos?query=${encodeURIComponent(query)}&orientation=landscape&per_page=5`;
+  if (!data.results || data.results.length === 0) {
+    return null;
+  }
 
-    const response = await fetch(url, {
-      headers: {
-        'Authorization': `Client-ID ${process.env.UNSPLASH_ACCESS_KEY}`
-      }
-    });
+  // Get the first result, with the attribution Unsplash asks for
+  const photo = data.results[0];
 
-    if (!response.ok) {
-      throw new Error(`Unsplash API error: ${response.status}`);
-    }
+  logger.info(`Found Unsplash image: ${photo.id} by ${photo.user.name}`);
+  return {
+    url: buildUnsplashUrl(photo),
+    credit: buildUnsplashCredit(photo, config.unsplashAppName),
+    downloadLocation: photo.links.download_location
+  };
+}
 
-    const data = await response.json();
+/**
+ * Search Unsplash for relevant image
+ * @param {string[]} searchTerms - Keywords to search for
+ * @param {string} category - Article category (for fallback)
+ * @returns {Promise<Object>} Chosen image { url, credit?, downloadLocation? }
+ */
+export async function searchUnsplash(searchTerms, category) {
+  // If Unsplash is disabled or no API key, use default
+  if (!(await isUnsplashAvailable())) {
+    logger.info('Unsplash disabled or no API key, using category default image');
+    return getCategoryDefaultImage(category);
+  }
 
-    if (!data.results || data.results.length === 0) {
+  try {
+    const photo = await findUnsplashPhoto(searchTerms);
+    if (!photo) {
       logger.warn('No Unsplash results found, using category default');
       return getCategoryDefaultImage(category);
     }
-
-    // Get the first result and format URL
-    const photo = data.results[0];
-    const imageUrl = buildUnsplashUrl(photo);
-
-    logger.info(`Found Unsplash image: ${photo.id} by ${photo.user.name}`);
-    return imageUrl;
+    return photo;
   } catch (error) {
     logger.error(`Unsplash search failed: ${error.message}`);
     logger.info('Falling back to category default image');
@@ -108,13 +242,289 @@ export function buildUnsplashUrl(photo) {
 }
 
 /**
- * Get image for article (with Unsplash or fallback)
+ * Build the photographer credit for an Unsplash photo
+ * Links carry the utm parameters Unsplash's attribution guidelines ask for.
+ * @param {Object} photo - Unsplash photo object
+ * @param {string} appName - Application name registered with Unsplash
+ * @returns {Object} Credit { author, authorUrl, source, sourceUrl, license, licenseUrl }
+ */
+export function buildUnsplashCredit(photo, appName = 'simply_nerdy') {
+  const referral = `utm_source=${encodeURIComponent(appName)}&utm_medium=referral`;
+  return {
+    author: photo.user.name,
+    authorUrl: `${photo.user.links.html}?${referral}`,
+    source: 'Unsplash',
+    sourceUrl: `${photo.links.html}?${referral}`,
+    license: 'Unsplash License',
+    licenseUrl: 'https://unsplash.com/license'
+  };
+}
+
+/**
+ * Build the URL of an Unsplash image at a given width
+ * Unsplash images are served by imgix, which crops and resizes on request;
+ * every size is cut to 16:9. Other URLs are returned as they are.
+ * @param {string} imageUrl - Image URL
+ * @param {number} width - Width in pixels
+ * @returns {string} Sized image URL
+ */
+export function sizeImageUrl(imageUrl, width) {
+  const url = new URL(imageUrl);
+  if (url.hostname !== 'images.unsplash.com') return imageUrl;
+
+  url.searchParams.set('w', width);
+  url.searchParams.set('h', Math.round(width * 9 / 16));
+  url.searchParams.set('fit', 'crop');
+  url.searchParams.set('fm', 'jpg');
+  url.searchParams.set('q', '80');
+  return url.toString();
+}
+
+/**
+ * Download an image
+ * @param {string} url - Image URL
+ * @returns {Promise<{data: Buffer, extension: string}>} Image bytes and file extension
+ * @throws {Error} If the request fails or the response is not an image
+ */
+async function downloadImage(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Image download failed: ${response.status} (${url})`);
+  }
+
+  const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+  if (!IMAGE_EXTENSIONS[type]) {
+    throw new Error(`Not an image: ${type || 'no content type'} (${url})`);
+  }
+
+  return { data: Buffer.from(await response.arrayBuffer()), extension: IMAGE_EXTENSIONS[type] };
+}
+
+/**
+ * Pick an unused base filename in the images folder
+ * @param {string} folder - Images folder
+ * @param {string} slug - Article slug
+ * @returns {Promise<string>} "slug", or "slug-2", "slug-3"... if taken
+ */
+async function pickImageName(folder, slug) {
+  const taken = new Set((await fs.readdir(folder)).map(file => file.replace(/\.[^.]+$/, '')));
+  let name = slug;
+  for (let n = 2; taken.has(name); n++) {
+    name = `${slug}-${n}`;
+  }
+  return name;
+}
+
+/**
+ * Find an image saved earlier under a fixed name (see saveArticleImage)
+ * @param {string} folder - Images folder
+ * @param {string} name - Base filename without extension
+ * @returns {Promise<Object|null>} { file, sizes: [{ width, file }] } with the widest first, or null if not saved yet
+ */
+async function findSavedImage(folder, name) {
+  const files = await fs.readdir(folder);
+  const file = files.find(f => f.replace(/\.[^.]+$/, '') === name);
+  if (!file) return null;
+
+  const sizes = files
+    .map(f => ({ file: f, match: f.match(/^(.*)-(\d+)\.[^.]+$/) }))
+    .filter(({ match }) => match && match[1] === name)
+    .map(({ file: f, match }) => ({ width: Number(match[2]), file: f }))
+    .sort((a, b) => b.width - a.width);
+  return { file, sizes };
+}
+
+/**
+ * Tell Unsplash the photo was downloaded, as its API guidelines require
+ * @param {string} downloadLocation - photo.links.download_location
+ */
+async function trackUnsplashDownload(downloadLocation) {
+  try {
+    const response = await fetch(downloadLocation, {
+      headers: {
+        'Authorization': `Client-ID ${process.env.UNSPLASH_ACCESS_KEY}`
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`status ${response.status}`);
+    }
+  } catch (error) {
+    logger.warn(`Could not report the download to Unsplash: ${error.message}`);
+  }
+}
+
+/**
+ * Article image fields for a chosen image, without downloading anything
+ * @param {Object} chosen - Chosen image from getImageForArticle
+ * @returns {Object} Article image fields { image, imageAlt?, imageCredit? }
+ */
+export function chosenImageFields(chosen) {
+  return {
+    image: chosen.url,
+    ...(chosen.alt && { imageAlt: chosen.alt }),
+    ...(chosen.credit && { imageCredit: chosen.credit })
+  };
+}
+
+/**
+ * Save the chosen image into the site's images folder
+ * Unsplash images are saved once per width in settings.imageWidths: the
+ * widest as "<slug>.jpg", the others as "<slug>-<width>.jpg". Other images
+ * are saved as they are. Library images are already in the site and are
+ * used in place, and an image with a saveAs name (an outside category
+ * default) is saved under that name the first time and reused after that,
+ * listing only the sizes whose width is in their filename. If the download
+ * fails, the category default is used instead, so nothing is hotlinked.
+ * @param {Object} chosen - Chosen image from getImageForArticle
+ * @param {string} slug - Article slug, used for the filenames
+ * @param {Object} [options] - Save options
+ * @param {string} [options.fallbackCategory] - Category whose default replaces an image that
+ *   can't be saved; without it a failed download throws
+ * @returns {Promise<Object>} Article image fields { image, imageSizes?, imageAlt?, imageCredit? }
+ */
+export async function saveArticleImage(chosen, slug, options = {}) {
+  if (chosen.url.startsWith('/')) {
+    return chosenImageFields(chosen);
+  }
+
+  const config = await loadSettings();
+  const folder = path.resolve(__dirname, '..', config.imagesFolder);
+  const siteRoot = path.resolve(__dirname, '..', config.siteRoot);
+  const credit = chosen.credit ? { imageCredit: chosen.credit } : {};
+  const toSitePath = file => `/${path.relative(siteRoot, file).split(path.sep).join('/')}`;
+
+  try {
+    await fs.mkdir(folder, { recursive: true });
+
+    const saved = chosen.saveAs ? await findSavedImage(folder, chosen.saveAs) : null;
+    if (saved) {
+      const src = file => toSitePath(path.join(folder, file));
+      logger.info(`Using the saved default image ${src(saved.file)}`);
+      return {
+        image: src(saved.file),
+        // The unsuffixed file's width isn't recorded, so only the suffixed sizes are listed
+        ...(saved.sizes.length > 0 && { imageSizes: saved.sizes.map(({ width, file }) => ({ width, src: src(file) })).reverse() }),
+        ...credit
+      };
+    }
+
+    const name = chosen.saveAs || await pickImageName(folder, slug);
+    const sized = new URL(chosen.url).hostname === 'images.unsplash.com';
+    const widths = sized ? [...config.imageWidths].sort((a, b) => b - a) : [null];
+
+    // Download everything before writing, so a failure leaves no partial set
+    const downloads = [];
+    for (const width of widths) {
+      downloads.push({ width, ...(await downloadImage(width ? sizeImageUrl(chosen.url, width) : chosen.url)) });
+    }
+
+    const files = downloads.map(({ width, extension }, i) =>
+      path.join(folder, `${name}${i === 0 ? '' : `-${width}`}${extension}`));
+    for (const [i, download] of downloads.entries()) {
+      if (await fileExists(files[i])) {
+        throw new Error(`Image already exists: ${files[i]}`);
+      }
+      await writeFileAtomic(files[i], download.data);
+    }
+
+    if (chosen.downloadLocation) {
+      await trackUnsplashDownload(chosen.downloadLocation);
+    }
+
+    logger.info(`✓ Saved image as ${toSitePath(files[0])}${sized ? ` (${widths.join(', ')}px wide)` : ''}`);
+    return {
+      image: toSitePath(files[0]),
+      ...(sized && {
+        imageSizes: downloads.map(({ width }, i) => ({ width, src: toSitePath(files[i]) })).reverse()
+      }),
+      ...credit
+    };
+  } catch (error) {
+    if (!options.fallbackCategory) {
+      throw new Error(`Could not save image locally: ${error.message}`, { cause: error });
+    }
+
+    logger.error(`Could not save image locally, using the ${options.fallbackCategory} default instead: ${error.message}`);
+    const fallback = await getCategoryDefaultImage(options.fallbackCategory);
+    if (fallback.url !== chosen.url) {
+      try {
+        return await saveArticleImage(fallback, slug);
+      } catch (fallbackError) {
+        logger.error(fallbackError.message);
+      }
+    }
+    return { image: GENERIC_DEFAULT_IMAGE };
+  }
+}
+
+/**
+ * List the site paths of every image an article uses
+ * @param {Object} article - Article or draft
+ * @returns {string[]} Paths of the featured image, its sizes and the images (and srcsets) in its content
+ */
+export function articleImagePaths(article) {
+  const paths = [
+    article.image,
+    ...(article.imageSizes || []).map(size => size.src),
+    ...listContentImages(article.content).flatMap(image => image.urls)
+  ];
+  return [...new Set(paths.filter(src => typeof src === 'string' && src.startsWith('/') && !isRemoteUrl(src)))];
+}
+
+/**
+ * Delete images saved for an article that nothing else uses (e.g. a rejected draft's)
+ * Only files saveArticleImage downloaded for it are touched: files in the
+ * images folder named after its slug, never library images or saved defaults.
+ * @param {Object} article - Article or draft whose images go
+ * @param {string[]} inUse - Site paths of images other articles and drafts use
+ * @returns {Promise<string[]>} Site paths of the deleted files
+ */
+export async function deleteArticleImages(article, inUse) {
+  const config = await loadSettings();
+  const folder = path.resolve(__dirname, '..', config.imagesFolder);
+  const siteRoot = path.resolve(__dirname, '..', config.siteRoot);
+  const keep = new Set([...inUse, ...(await loadImageLibrary()).map(image => image.file)]);
+
+  const deleted = [];
+  for (const src of articleImagePaths(article)) {
+    const file = path.resolve(siteRoot, `.${src}`);
+    const name = path.basename(file).replace(/\.[^.]+$/, '');
+    const savedForArticle = name === article.slug || name.startsWith(`${article.slug}-`);
+    if (keep.has(src) || path.dirname(file) !== folder || !savedForArticle) continue;
+
+    try {
+      await fs.unlink(file);
+      deleted.push(src);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not delete ${src}: ${error.message}`);
+      }
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Get image for article (from the image library, Unsplash or fallback)
  * @param {string[]} searchTerms - AI-suggested search terms
  * @param {string} category - Article category
- * @returns {Promise<string>} Image URL
+ * @param {string[]} [tags] - Article tags, matched against the image library too
+ * @returns {Promise<Object>} Chosen image { url, alt?, credit?, downloadLocation? }, not saved yet (see saveArticleImage)
  */
-export async function getImageForArticle(searchTerms, category) {
+export async function getImageForArticle(searchTerms, category, tags = []) {
   try {
+    // Our own images first
+    const match = matchLibraryImage(await loadImageLibrary(), [...(searchTerms || []), ...tags], category);
+    if (match) {
+      logger.info(`Using library image ${match.image.file} (matched: ${match.matched.join(', ')})`);
+      return {
+        url: match.image.file,
+        ...(match.image.alt && { alt: match.image.alt }),
+        ...(match.image.credit && { credit: match.image.credit })
+      };
+    }
+
     // If no search terms provided, use default
     if (!searchTerms || searchTerms.length === 0) {
       logger.info('No search terms provided, using category default');
@@ -122,8 +532,7 @@ export async function getImageForArticle(searchTerms, category) {
     }
 
     // Try Unsplash first
-    const imageUrl = await searchUnsplash(searchTerms, category);
-    return imageUrl;
+    return await searchUnsplash(searchTerms, category);
   } catch (error) {
     logger.error(`Failed to get image: ${error.message}`);
     return getCategoryDefaultImage(category);
@@ -131,8 +540,19 @@ export async function getImageForArticle(searchTerms, category) {
 }
 
 export default {
+  loadImageLibrary,
+  matchLibraryImage,
+  listLibraryImages,
   getCategoryDefaultImage,
+  isUnsplashAvailable,
+  findUnsplashPhoto,
   searchUnsplash,
   buildUnsplashUrl,
+  buildUnsplashCredit,
+  sizeImageUrl,
+  chosenImageFields,
+  saveArticleImage,
+  articleImagePaths,
+  deleteArticleImages,
   getImageForArticle
 };
@@ -0,0 +1,338 @@
+/**
+ * Simply Nerdy - Job Queue
+ * Persistent, concurrency-limited queue of transcript processing jobs
+ *
+ * Jobs live in a JSON file (settings.queueFile) so a restart picks up where
+ * the last run stopped. Each job records the step it reached and the results
+ * of finished steps; the worker skips steps whose results are already there.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { logger, writeFileAtomic, withFileLock, fileExists, isProcessAlive } from './utils.js';
+import { getBudgetStatus } from './usage-ledger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Job states, in processing order
+ */
+export const JOB_STATES = ['queued', 'transforming', 'fetching-image', 'saving', 'done', 'skipped', 'failed'];
+const FINISHED_STATES = ['done', 'skipped', 'failed'];
+const KEEP_DONE_JOBS = 50;
+const BUDGET_RECHECK_MS = 60 * 60 * 1000; // A paused queue looks again hourly, so it resumes when the month turns
+
+let settings = null;
+let worker = null;
+let pumping = false;
+let pumpAgain = false;
+let budgetTimer = null;
+const running = new Set(); // IDs of jobs this process is working on
+const RUN_ID = crypto.randomUUID(); // Tells this run's jobs apart from an earlier run that had the same PID
+
+/**
+ * Load settings from config file
+ * @returns {Promise<Object>} Settings object
+ */
+async function loadSettings() {
+  if (settings) return settings;
+
+  const settingsPath = path.resolve(__dirname, '../config/settings.json');
+  const content = await fs.readFile(settingsPath, 'utf8');
+  settings = JSON.parse(content);
+  return settings;
+}
+
+/**
+ * Get absolute path to the queue file (QUEUE_FILE overrides settings.queueFile)
+ * @returns {Promise<string>} Absolute path
+ */
+async function getQueuePath() {
+  const config = await loadSettings();
+  return path.resolve(__dirname, '..', process.env.QUEUE_FILE || config.queueFile);
+}
+
+/**
+ * Read the queue file
+ * @returns {Promise<Object>} Queue data { jobs: [] }
+ */
+async function readQueue() {
+  const queuePath = await getQueuePath();
+
+  if (!(await fileExists(queuePath))) {
+    return { jobs: [] };
+  }
+
+  return JSON.parse(await fs.readFile(queuePath, 'utf8'));
+}
+
+/**
+ * Read-modify-write the queue file under its lock
+ * @param {Function} modify - Receives the jobs array, changes it in place and returns a result
+ * @returns {Promise<any>} Whatever modify returned
+ */
+async function modifyQueue(modify) {
+  const config = await loadSettings();
+  const queuePath = await getQueuePath();
+  await fs.mkdir(path.dirname(queuePath), { recursive: true });
+
+  return withFileLock(`${queuePath}.lock`, async () => {
+    const queue = await readQueue();
+    const result = await modify(queue.jobs);
+
+    // Keep every unfinished or failed job, but only the most recent finished ones
+    const done = queue.jobs.filter(job => job.state === 'done' || job.state === 'skipped');
+    const dropped = new Set(done.slice(0, Math.max(0, done.length - KEEP_DONE_JOBS)));
+    queue.jobs = queue.jobs.filter(job => !dropped.has(job));
+
+    await writeFileAtomic(queuePath, JSON.stringify(queue, null, 2));
+    return result;
+  }, {
+    timeoutMs: config.lockTimeoutMs,
+    staleMs: config.lockStaleMs
+  });
+}
+
+/**
+ * Check whether a job is waiting for a worker
+ * Unfinished jobs count as free when nobody owns them, or their owner
+ * process on this machine has exited (e.g., crashed mid-step). Jobs this
+ * run claimed are never taken again by it; only a restart resumes them,
+ * even when the new process got the same PID.
+ * @param {Object} job - Job record
+ * @returns {boolean} True if this process may claim the job
+ */
+function isClaimable(job) {
+  if (FINISHED_STATES.includes(job.state) || running.has(job.id)) {
+    return false;
+  }
+
+  if (!job.owner) return true;
+  if (job.owner.host !== os.hostname()) return false;
+  if (job.owner.pid === process.pid) return job.owner.run !== RUN_ID;
+  return !isProcessAlive(job.owner.pid);
+}
+
+/**
+ * List all jobs in the queue file
+ * @returns {Promise<Object[]>} Job records, oldest first
+ */
+export async function listJobs() {
+  const queue = await readQueue();
+  return queue.jobs;
+}
+
+/**
+ * Add a transcript to the queue
+ * A file that already has an unfinished job is not queued twice.
+ * @param {string} filePath - Absolute path to the transcript
+ * @param {Object} options - Job options
+ * @param {boolean} options.regenerate - Update the existing article if this transcript was already processed
+ * @param {string} options.publishAt - ISO timestamp to schedule the article for
+ * @param {string} options.format - Show format (prompt template) to use instead of the front-matter's
+ * @returns {Promise<Object>} The new (or existing) job
+ */
+export async function enqueue(filePath, options = {}) {
+  const job = await modifyQueue(jobs => {
+    const existing = jobs.find(j => j.file === filePath && !FINISHED_STATES.includes(j.state));
+    if (existing) {
+      logger.debug(`Already queued: ${path.basename(filePath)} (${existing.state})`);
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const created = {
+      id: `job-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      file: filePath,
+      filename: path.basename(filePath),
+      state: 'queued',
+      createdAt: now,
+      updatedAt: now
+    };
+    if (options.regenerate) {
+      created.regenerate = true;
+    }
+    if (options.publishAt) {
+      created.publishAt = options.publishAt;
+    }
+    if (options.format) {
+      created.format = options.format;
+    }
+    jobs.push(created);
+
+    logger.info(`Queued ${created.filename} (${created.id})`);
+    return created;
+  });
+
+  pumpQueue();
+  return job;
+}
+
+/**
+ * Update a job record
+ * @param {string} id - Job ID
+ * @param {Object} patch - Fields to set (undefined removes a field)
+ * @returns {Promise<Object>} Updated job
+ */
+export async function updateJob(id, patch) {
+  return modifyQueue(jobs => {
+    const job = jobs.find(j => j.id === id);
+    if (!job) {
+      throw new Error(`Job not found: ${id}`);
+    }
+
+    Object.entries(patch).forEach(([key, value]) => {
+      if (value === undefined) {
+        delete job[key];
+      } else {
+        job[key] = value;
+      }
+    });
+    job.updatedAt = new Date().toISOString();
+
+    if (FINISHED_STATES.includes(job.state)) {
+      delete job.owner;
+    }
+
+    return job;
+  });
+}
+
+/**
+ * Claim a job for this process
+ * @param {string} [id] - Job ID (oldest claimable job if omitted)
+ * @returns {Promise<Object|null>} Claimed job, or null if none is available
+ */
+export async function claimJob(id) {
+  const job = await modifyQueue(jobs => {
+    const candidate = id
+      ? jobs.find(j => j.id === id && isClaimable(j))
+      : jobs.find(isClaimable);
+
+    if (!candidate) return null;
+
+    candidate.owner = { pid: process.pid, host: os.hostname(), run: RUN_ID };
+    candidate.updatedAt = new Date().toISOString();
+    return candidate;
+  });
+
+  if (job) {
+    running.add(job.id);
+  }
+  return job;
+}
+
+/**
+ * Run a claimed job with the registered worker
+ * A worker that throws leaves the job failed, so it isn't picked up again.
+ * @param {Object} job - Claimed job
+ * @param {Function} fn - Worker function
+ * @returns {Promise<any>} Worker result
+ */
+export async function runClaimedJob(job, fn = worker) {
+  running.add(job.id);
+  try {
+    return await fn(job);
+  } catch (error) {
+    logger.error(`Job ${job.id} crashed: ${error.message}`);
+    try {
+      await updateJob(job.id, { state: 'failed', failedStep: job.state, error: error.message });
+    } catch (updateError) {
+      logger.error(`Could not mark job ${job.id} failed: ${updateError.message}`);
+    }
+    return null;
+  } finally {
+    running.delete(job.id);
+    pumpQueue();
+  }
+}
+
+/**
+ * Check whether the monthly budget (settings.monthlyBudgetUsd) pauses the queue
+ * While paused, nothing new is started, jobs keep their place, and the check
+ * is repeated every hour.
+ * @returns {Promise<boolean>} True if the queue is paused
+ */
+async function isPausedByBudget() {
+  const budget = await getBudgetStatus();
+  if (!budget.exceeded) {
+    return false;
+  }
+
+  if (!budgetTimer) {
+    logger.warn(`Monthly budget reached ($${budget.spent.toFixed(2)} of $${budget.budget.toFixed(2)} in ${budget.month}): queue paused`);
+    budgetTimer = setTimeout(() => {
+      budgetTimer = null;
+      pumpQueue();
+    }, BUDGET_RECHECK_MS);
+    budgetTimer.unref();
+  }
+  return true;
+}
+
+/**
+ * Start as many queued jobs as concurrency allows
+ */
+export async function pumpQueue() {
+  if (!worker) return;
+
+  // Already pumping: make that loop check again once it finishes
+  if (pumping) {
+    pumpAgain = true;
+    return;
+  }
+  pumping = true;
+
+  try {
+    const config = await loadSettings();
+
+    do {
+      pumpAgain = false;
+
+      while (running.size < config.queueConcurrency) {
+        if (await isPausedByBudget()) break;
+
+        const job = await claimJob();
+        if (!job) break;
+
+        if (job.state !== 'queued') {
+          logger.info(`Resuming ${job.filename} from "${job.state}"`);
+        }
+        runClaimedJob(job);
+      }
+    } while (pumpAgain);
+  } catch (error) {
+    logger.error(`Queue error: ${error.message}`);
+  } finally {
+    pumping = false;
+  }
+}
+
+/**
+ * Start processing the queue, resuming any unfinished jobs
+ * @param {Function} fn - Worker: async (job) => result; must leave the job done or failed
+ */
+export async function startQueue(fn) {
+  worker = fn;
+
+  const config = await loadSettings();
+  const pending = (await listJobs()).filter(isClaimable);
+  logger.info(`Job queue started (concurrency: ${config.queueConcurrency}, pending: ${pending.length})`);
+
+  await pumpQueue();
+}
+
+export default {
+  JOB_STATES,
+  listJobs,
+  enqueue,
+  updateJob,
+  claimJob,
+  runClaimedJob,
+  pumpQueue,
+  startQueue
+};
@@ -0,0 +1,73 @@
+/**
+ * Simply Nerdy - Anthropic Provider
+ * Claude through the official SDK (the default provider)
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { logger } from '../utils.js';
+
+let client = null;
+
+/**
+ * Initialize Anthropic client
+ * @param {Object} config - Settings object (uses config.requestTimeoutMs)
+ * @returns {Anthropic} Anthropic client instance
+ */
+function initializeClient(config) {
+  if (client) return client;
+
+  if (!process.env.ANTHROPIC_API_KEY) {
+    throw new Error('ANTHROPIC_API_KEY environment variable not set');
+  }
+
+  client = new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    ...(config.requestTimeoutMs && { timeout: config.requestTimeoutMs })
+  });
+
+  logger.info('Claude API client initialized');
+  return client;
+}
+
+/**
+ * Create the Anthropic provider
+ * @param {Object} config - Settings object
+ * @returns {Object} Provider (see providers/index.js)
+ */
+export function createAnthropicProvider(config) {
+  return {
+    name: 'anthropic',
+    model: config.claudeModel,
+
+    checkConfig() {
+      return process.env.ANTHROPIC_API_KEY
+        ? null
+        : 'ANTHROPIC_API_KEY environment variable not set (create a .env file, see .env.example)';
+    },
+
+    async createMessage({ messages, maxTokens, temperature, tool }) {
+      const message = await initializeClient(config).messages.create({
+        model: config.claudeModel,
+        max_tokens: maxTokens,
+        temperature,
+        messages,
+        ...(tool && {
+          tools: [tool],
+          tool_choice: { type: 'tool', name: tool.name }
+        })
+      });
+
+      return {
+        content: message.content,
+        stopReason: message.stop_reason,
+        model: message.model,
+        usage: {
+          inputTokens: message.usage.input_tokens,
+          outputTokens: message.usage.output_tokens
+        }
+      };
+    }
+  };
+}
+
+export default createAnthropicProvider;
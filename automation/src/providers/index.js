@@ -0,0 +1,52 @@
+/**
+ * Simply Nerdy - Model Providers
+ * Picks the model backend behind transformTranscript
+ *
+ * Every provider exposes the same shape:
+ *   name, model
+ *   checkConfig() → error message, or null when ready to use
+ *   createMessage({ messages, maxTokens, temperature, tool }) →
+ *     { content, stopReason, model, usage: { inputTokens, outputTokens } }
+ *
+ * Conversations use the Anthropic Messages format (text, tool_use and
+ * tool_result blocks); providers translate to and from their own API.
+ * stopReason is one of 'end_turn', 'tool_use' or 'max_tokens'.
+ */
+
+import { createAnthropicProvider } from './anthropic.js';
+import { createMockProvider } from './mock.js';
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  mock: createMockProvider,
+  openai: createOpenAICompatibleProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+const instances = new Map();
+
+/**
+ * Get the configured provider
+ * settings.provider picks it; the LLM_PROVIDER environment variable overrides.
+ * @param {Object} config - Settings object
+ * @returns {Object} Provider
+ */
+export function getProvider(config) {
+  const name = process.env.LLM_PROVIDER || config.provider || 'anthropic';
+
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown provider "${name}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, PROVIDERS[name](config));
+  }
+  return instances.get(name);
+}
+
+export default {
+  PROVIDER_NAMES,
+  getProvider
+};
@@ -0,0 +1,74 @@
+/**
+ * Simply Nerdy - Mock Provider
+ * Deterministic responses from a fixture file, for offline and CI runs
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURE = './fixtures/mock-article.json';
+
+/**
+ * Rough token count, so usage figures look plausible
+ * @param {string} text - Text to measure
+ * @returns {number} Approximate tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Create the mock provider
+ * Tool requests are answered with the fixture article (settings
+ * providers.mock.fixture, relative to the automation folder); plain prompts
+ * such as chunk summaries get a short text built from the prompt itself.
+ * @param {Object} config - Settings object (uses config.providers.mock)
+ * @returns {Object} Provider (see providers/index.js)
+ */
+export function createMockProvider(config) {
+  const options = (config.providers && config.providers.mock) || {};
+  const fixturePath = path.resolve(__dirname, '../..', options.fixture || DEFAULT_FIXTURE);
+  let calls = 0;
+
+  return {
+    name: 'mock',
+    model: 'mock',
+
+    checkConfig() {
+      return null;
+    },
+
+    async createMessage({ messages, tool }) {
+      const last = messages[messages.length - 1];
+      const prompt = typeof last.content === 'string'
+        ? last.content
+        : last.content.map(block => block.text || block.content || '').join('\n');
+      const inputTokens = estimateTokens(messages.map(m => JSON.stringify(m.content)).join(''));
+      calls++;
+
+      if (tool) {
+        const input = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+        return {
+          content: [{ type: 'tool_use', id: `mock_tool_${calls}`, name: tool.name, input }],
+          stopReason: 'tool_use',
+          model: 'mock',
+          usage: { inputTokens, outputTokens: estimateTokens(JSON.stringify(input)) }
+        };
+      }
+
+      const text = `Mock summary of a ${prompt.length}-character prompt.`;
+      return {
+        content: [{ type: 'text', text }],
+        stopReason: 'end_turn',
+        model: 'mock',
+        usage: { inputTokens, outputTokens: estimateTokens(text) }
+      };
+    }
+  };
+}
+
+export default createMockProvider;
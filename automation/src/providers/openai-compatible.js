@@ -0,0 +1,160 @@
+/**
+ * Simply Nerdy - OpenAI-Compatible Provider
+ * Any server speaking the OpenAI chat completions API: OpenAI itself, or a
+ * local one such as Ollama, LM Studio, llama.cpp or vLLM
+ */
+
+import { logger } from '../utils.js';
+
+const STOP_REASONS = { stop: 'end_turn', length: 'max_tokens', tool_calls: 'tool_use' };
+
+// Same as the Anthropic SDK's default request timeout
+const DEFAULT_TIMEOUT_MS = 600000;
+
+/**
+ * Convert an Anthropic-style conversation to chat completion messages
+ * tool_use blocks become tool_calls, tool_result blocks become "tool" messages.
+ * @param {Object[]} messages - Conversation (see providers/index.js)
+ * @returns {Object[]} Chat completion messages
+ */
+function toChatMessages(messages) {
+  const chat = [];
+
+  messages.forEach(({ role, content }) => {
+    if (typeof content === 'string') {
+      chat.push({ role, content });
+      return;
+    }
+
+    const text = content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+
+    if (role === 'assistant') {
+      const toolCalls = content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.input) }
+        }));
+      chat.push({ role, content: text || null, ...(toolCalls.length > 0 && { tool_calls: toolCalls }) });
+      return;
+    }
+
+    content
+      .filter(block => block.type === 'tool_result')
+      .forEach(block => chat.push({ role: 'tool', tool_call_id: block.tool_use_id, content: block.content }));
+    if (text) {
+      chat.push({ role, content: text });
+    }
+  });
+
+  return chat;
+}
+
+/**
+ * Convert a chat completion choice to Anthropic-style content blocks
+ * @param {Object} message - choices[0].message
+ * @returns {Object[]} Content blocks
+ */
+function toContentBlocks(message) {
+  const blocks = [];
+
+  if (message.content) {
+    blocks.push({ type: 'text', text: message.content });
+  }
+
+  (message.tool_calls || []).forEach(call => {
+    let input = null;
+    try {
+      input = JSON.parse(call.function.arguments);
+    } catch {
+      // Left as null: the schema check reports it and the model is asked again
+      logger.warn(`Tool call arguments are not valid JSON: ${call.function.arguments.slice(0, 200)}`);
+    }
+    blocks.push({ type: 'tool_use', id: call.id, name: call.function.name, input });
+  });
+
+  return blocks;
+}
+
+/**
+ * Create the OpenAI-compatible provider
+ * @param {Object} config - Settings object (uses config.providers.openai)
+ * @returns {Object} Provider (see providers/index.js)
+ */
+export function createOpenAICompatibleProvider(config) {
+  const options = (config.providers && config.providers.openai) || {};
+  const { baseUrl, model, apiKeyEnv } = options;
+  const timeoutMs = config.requestTimeoutMs || DEFAULT_TIMEOUT_MS;
+
+  return {
+    name: 'openai',
+    model,
+
+    checkConfig() {
+      // The API key is optional: local servers usually don't check it
+      return baseUrl && model
+        ? null
+        : 'Set providers.openai.baseUrl and providers.openai.model in settings.json';
+    },
+
+    async createMessage({ messages, maxTokens, temperature, tool }) {
+      const headers = { 'content-type': 'application/json' };
+      if (apiKeyEnv && process.env[apiKeyEnv]) {
+        headers.authorization = `Bearer ${process.env[apiKeyEnv]}`;
+      }
+
+      let data;
+      try {
+        const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+          method: 'POST',
+          headers,
+          signal: AbortSignal.timeout(timeoutMs),
+          body: JSON.stringify({
+            model,
+            max_tokens: maxTokens,
+            temperature,
+            messages: toChatMessages(messages),
+            ...(tool && {
+              tools: [{
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+              }],
+              tool_choice: { type: 'function', function: { name: tool.name } }
+            })
+          })
+        });
+
+        if (!response.ok) {
+          const body = await response.text();
+          throw new Error(`${baseUrl} returned ${response.status}: ${body.slice(0, 300)}`);
+        }
+
+        data = await response.json();
+      } catch (error) {
+        // A hung server ends the attempt like an SDK timeout does, so retryWithBackoff tries again
+        if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+          throw new Error(`${baseUrl} did not respond within ${timeoutMs}ms (requestTimeoutMs)`, { cause: error });
+        }
+        throw error;
+      }
+
+      if (!Array.isArray(data.choices) || data.choices.length === 0) {
+        throw new Error(`${baseUrl} returned no choices: ${JSON.stringify(data).slice(0, 300)}`);
+      }
+      const [choice] = data.choices;
+
+      return {
+        content: toContentBlocks(choice.message),
+        stopReason: STOP_REASONS[choice.finish_reason] || choice.finish_reason,
+        model: data.model || model,
+        usage: {
+          inputTokens: data.usage ? data.usage.prompt_tokens : 0,
+          outputTokens: data.usage ? data.usage.completion_tokens : 0
+        }
+      };
+    }
+  };
+}
+
+export default createOpenAICompatibleProvider;
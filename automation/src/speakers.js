@@ -0,0 +1,137 @@
+/**
+ * Simply Nerdy - Speaker Attribution
+ * Finds speaker labels in transcripts and maps them to the host roster
+ */
+
+import { isSoundCue } from './captions.js';
+
+// "[12:34] " or "[1:02:03] " paragraph timestamps from caption files
+const TIMESTAMP_PREFIX = /^(\[\d{1,2}:\d{2}(?::\d{2})?\]\s*)?/;
+
+// "[HOST 2] text" or "(Steven) text"; the label must start with a letter
+const BRACKET_LABEL = /^[[(]([A-Za-z][^\])\n]{0,30})[\])]:?\s*(.*)$/;
+
+// "Steven: text", "HOST 2: text", "**Steven:** text"; up to four words
+const COLON_LABEL = /^\*{0,2}([A-Za-z][\w'.-]*(?: [\w'.-]+){0,3})\*{0,2}:\*{0,2}(?:\s+(.*)|\s*$)/;
+
+// Labels transcription tools give unnamed voices: "HOST 2", "Speaker 1", "Guest"
+const GENERIC_LABEL = /^(?:host|speaker|guest|caller|voice)(?: ?\d{1,2})?$/i;
+
+/**
+ * Turn an all-caps label into title case ("HOST 2" → "Host 2")
+ * @param {string} label - Speaker label
+ * @returns {string} Label for display
+ */
+function displayLabel(label) {
+  return label === label.toUpperCase()
+    ? label.toLowerCase().replace(/\b\w/g, c => c.toUpperCase())
+    : label;
+}
+
+/**
+ * Find the roster host a name or label refers to
+ * Matches the host's name or any alias, ignoring case and brackets.
+ * @param {string} label - Name or speaker label (e.g. "steve", "[HOST 1]")
+ * @param {Object[]} roster - settings.hosts [{ name, aliases }]
+ * @returns {Object|null} Roster entry, or null for anyone else
+ */
+export function findHost(label, roster = []) {
+  const key = label.replace(/[*[\]()]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+  return roster.find(host => [host.name, ...(host.aliases || [])].some(name => name.toLowerCase() === key)) || null;
+}
+
+/**
+ * Normalize a speaker label: roster hosts get their canonical name
+ * @param {string} label - Speaker label as written
+ * @param {Object[]} roster - settings.hosts
+ * @returns {string} Display name
+ */
+export function normalizeSpeaker(label, roster = []) {
+  const host = findHost(label, roster);
+  return host ? host.name : displayLabel(label.replace(/\s+/g, ' ').trim());
+}
+
+/**
+ * Split a line into timestamp, speaker label candidate and text
+ * @param {string} line - Transcript line
+ * @returns {{timestamp: string, label: string|null, text: string}} Parts of the line
+ */
+function splitLine(line) {
+  const timestamp = line.match(TIMESTAMP_PREFIX)[0];
+  const rest = line.slice(timestamp.length).replace(/^>>\s*/, '');
+
+  const bracket = rest.match(BRACKET_LABEL);
+  if (bracket) return { timestamp, label: bracket[1].trim(), text: bracket[2] };
+
+  const colon = rest.match(COLON_LABEL);
+  if (colon) return { timestamp, label: colon[1], text: colon[2] || '' };
+
+  return { timestamp, label: null, text: rest };
+}
+
+/**
+ * Label every turn of a transcript with its (normalized) speaker
+ * A label counts when it names a roster host, is a generic one like
+ * "[HOST 2]" or "Speaker 1:", or starts a line at least twice, so one-off
+ * "Note:" or "Episode 42:" lines are left alone. Sound cues such as "[Music]"
+ * or "(Laughs)" never count, however often they appear. Lines without a
+ * label continue the current speaker's turn and get the speaker's name too,
+ * so attribution survives chunking.
+ * @param {string} text - Transcript text
+ * @param {Object[]} roster - settings.hosts [{ name, aliases }]
+ * @returns {{text: string, speakers: string[], hosts: string[], turns: number}} Attributed
+ *   text (unchanged if no speakers were found), speakers and roster hosts in order of
+ *   appearance, and the number of turns
+ */
+export function attributeSpeakers(text, roster = []) {
+  const lines = text.split(/\r?\n/);
+  const parts = lines.map(splitLine);
+
+  const labelCounts = new Map();
+  parts.forEach(({ label }) => {
+    if (label) labelCounts.set(label.toLowerCase(), (labelCounts.get(label.toLowerCase()) || 0) + 1);
+  });
+
+  const isSpeaker = ({ label }) => label !== null && !isSoundCue(label) &&
+    (findHost(label, roster) !== null || GENERIC_LABEL.test(label.trim()) ||
+      (/^[A-Z]/.test(label) && labelCounts.get(label.toLowerCase()) >= 2));
+
+  const speakers = [];
+  let current = null;
+  let turns = 0;
+  const output = [];
+
+  parts.forEach((part, i) => {
+    if (isSpeaker(part)) {
+      const name = normalizeSpeaker(part.label, roster);
+      if (name !== current) turns++;
+      current = name;
+      if (!speakers.includes(name)) speakers.push(name);
+      if (part.text.trim()) output.push(`${part.timestamp}${name}: ${part.text.trim()}`);
+      return;
+    }
+
+    // A line that is only a sound cue ("[Music]") isn't anyone's words
+    const soundOnly = part.label !== null && !part.text.trim() && isSoundCue(part.label);
+    output.push(current && lines[i].trim() && !soundOnly
+      ? `${part.timestamp}${current}: ${lines[i].slice(part.timestamp.length).trim()}`
+      : lines[i]);
+  });
+
+  if (speakers.length === 0) {
+    return { text, speakers: [], hosts: [], turns: 0 };
+  }
+
+  return {
+    text: output.join('\n'),
+    speakers,
+    hosts: speakers.filter(name => findHost(name, roster) !== null),
+    turns
+  };
+}
+
+export default {
+  findHost,
+  normalizeSpeaker,
+  attributeSpeakers
+};
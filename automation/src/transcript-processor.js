@@ -14,19 +14,36 @@ import { fileURLToPath } from 'url';
 import {
   logger,
   validateTranscript,
+  parseFrontMatter,
   generateSlug,
   getCurrentDate,
   moveFile,
-  getTimestamp
+  fileExists,
+  getTimestamp,
+  hashTranscript,
+  diffLines,
+  sanitizeHtml
 } from './utils.js';
 
-import {
-  getNextArticleId,
-  appendArticle
-} from './articles-manager.js';
+import { readArticles, findArticleByTranscriptHash } from './articles-manager.js';
+import { getDraft, findDraftByTranscriptHash, saveDraft, previewSaveDraft, previewPublishDraft } from './drafts-manager.js';
 
-import { transformTranscript } from './claude-api.js';
-import { getImageForArticle } from './image-handler.js';
+import {
+  enqueue,
+  listJobs,
+  updateJob,
+  claimJob,
+  runClaimedJob,
+  startQueue
+} from './job-queue.js';
+
+import { transformTranscript, getActiveProvider } from './claude-api.js';
+import { getImageForArticle, chosenImageFields, saveArticleImage } from './image-handler.js';
+import { resolveFigures, insertFigures } from './figures.js';
+import { normalizeEpisodeMetadata, buildEpisodeFields, EPISODE_FIELDS } from './episode-metadata.js';
+import { isCaptionFile, isTranscriptFile, captionsToTranscript, TRANSCRIPT_EXTENSIONS } from './captions.js';
+import { attributeSpeakers } from './speakers.js';
+import { readUsage, totalUsage, getBudgetStatus } from './usage-ledger.js';
 
 // Load environment variables
 dotenv.config();
@@ -35,7 +52,12 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 let settings = null;
-const processingFiles = new Set(); // Track files currently being processed
+
+// Failed transcript names: <original>-<YYYYMMDD-HHMMSS>-FAILED<ext>
+const FAILED_NAME_PATTERN = /^(.*)-(\d{8}-\d{6})-FAILED(\.[^.]+)$/;
+
+// Article fields replaced when a transcript is regenerated (id, slug, date and author are kept)
+const REGENERATED_FIELDS = ['title', 'category', 'excerpt', 'content', 'tags', 'image', 'imageSizes', 'imageAlt', 'imageCredit', 'sections'];
 
 /**
  * Load settings from config file
@@ -51,105 +73,452 @@ async function loadSettings() {
 }
 
 /**
- * Process a single transcript file
+ * Process a single transcript file right away
+ * The file is recorded in the job queue, so an interrupted run can be resumed.
  * @param {string} filePath - Path to transcript file
+ * @param {Object} options - Processing options
+ * @param {boolean} options.dryRun - Build the article and report it without writing or moving anything
+ * @param {boolean} options.regenerate - If the transcript was processed before, rewrite that article instead of skipping
+ * @param {string} options.publishAt - ISO timestamp the article should go live at
+ * @param {string} options.format - Show format (prompt template), overriding the transcript's front-matter
+ * @returns {Promise<Object|null>} Saved article, or null if processing failed
  */
-async function processTranscript(filePath) {
-  const startTime = Date.now();
+async function processTranscript(filePath, options = {}) {
+  const { dryRun = false, regenerate = false, publishAt, format } = options;
   const filename = path.basename(filePath);
 
-  // Check if already processing this file
-  if (processingFiles.has(filePath)) {
-    logger.debug(`File already being processed: ${filename}`);
-    return;
+  // Dry runs make the same paid model calls, so they stop at the budget too
+  const budget = await getBudgetStatus();
+  if (budget.exceeded) {
+    logger.error(`Monthly budget reached ($${budget.spent.toFixed(2)} of $${budget.budget.toFixed(2)} in ${budget.month}); ${dryRun ? `not processing ${filename}` : `${filename} stays queued`}`);
+    if (!dryRun) {
+      await enqueue(filePath, { regenerate, publishAt, format });
+    }
+    return null;
+  }
+
+  if (dryRun) {
+    // Dry runs never touch the queue file
+    const job = { id: 'dry-run', file: filePath, filename, state: 'queued', regenerate, publishAt, format };
+    return runJob(job, { dryRun: true });
   }
 
-  processingFiles.add(filePath);
+  const queued = await enqueue(filePath, { regenerate, publishAt, format });
+
+  const job = await claimJob(queued.id);
+  if (!job) {
+    logger.warn(`${queued.filename} is already being processed (${queued.state})`);
+    return null;
+  }
+
+  return runClaimedJob(job, runJob);
+}
+
+/**
+ * Run a transcript job, skipping steps whose results the job already holds
+ * A transcript whose content was already turned into an article is skipped,
+ * unless the job asks to regenerate it (see findDuplicate).
+ * @param {Object} job - Job record (see job-queue.js)
+ * @param {Object} options - Processing options
+ * @param {boolean} options.dryRun - Build the article and report it without writing or moving anything
+ * @returns {Promise<Object|null>} Saved (or existing) article, or null if processing failed
+ */
+async function runJob(job, options = {}) {
+  const { dryRun = false } = options;
+  const startTime = Date.now();
+  const filePath = job.file;
+  const filename = job.filename;
+
+  // Record progress on the job (in memory only for dry runs)
+  const save = async patch => {
+    if (dryRun) {
+      Object.assign(job, patch);
+    } else {
+      Object.assign(job, await updateJob(job.id, patch));
+    }
+  };
 
   try {
     logger.info(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-    logger.info(`Processing new transcript: ${filename}`);
+    logger.info(`Processing new transcript: ${filename}${dryRun ? ' (DRY RUN)' : ''}`);
     logger.info(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
 
-    // Step 1: Read and validate transcript
-    logger.info('Step 1/7: Reading transcript file...');
-    const transcriptText = await fs.readFile(filePath, 'utf8');
+    if (!job.articleData) {
+      await save({ state: 'transforming' });
+
+      // Step 1: Read and validate transcript
+      logger.info('Step 1/7: Reading transcript file...');
+      const config = await loadSettings();
+      const { data: frontMatter, body } = parseFrontMatter(await fs.readFile(filePath, 'utf8'));
+      const transcriptText = isCaptionFile(filePath) ? readCaptions(body, config) : body;
+
+      const validation = validateTranscript(transcriptText, { maxLength: config.maxTranscriptChars });
+      if (!validation.valid) {
+        throw new Error(`Invalid transcript: ${validation.error}`);
+      }
+
+      const metadata = await normalizeEpisodeMetadata(frontMatter);
+      logger.info(`✓ Transcript loaded (${transcriptText.length} characters${Object.keys(metadata).length > 0 ? `, front-matter: ${Object.keys(metadata).join(', ')}` : ''})`);
+
+      // Hashed before attribution, so editing the host roster doesn't make old transcripts new
+      const transcriptHash = hashTranscript(transcriptText);
+
+      const attributed = attributeSpeakers(transcriptText, config.hosts);
+      if (attributed.speakers.length > 0) {
+        logger.info(`✓ ${attributed.turns} speaker turns: ${attributed.speakers.join(', ')}`);
+        metadata.speakers = attributed.speakers;
+        if (!metadata.hosts && attributed.hosts.length > 0) {
+          metadata.hosts = attributed.hosts;
+        }
+      }
+
+      await save({ transcriptHash, metadata });
+
+      const duplicate = await findDuplicate(job);
+      if (duplicate && duplicate.article && job.regenerate) {
+        logger.info(`Transcript matches ${describeDuplicate(duplicate)}, regenerating it`);
+        await save({ regenerateId: duplicate.article.id });
+      } else if (duplicate) {
+        return await skipDuplicate(job, duplicate, save, { dryRun });
+      }
+
+      // Step 2: Transform transcript with Claude API
+      logger.info('Step 2/7: Transforming transcript with the model provider...');
+      const format = job.format || metadata.format;
+      const articleData = await transformTranscript(attributed.text, {
+        format,
+        metadata,
+        usage: dryRun ? null : { job: job.id, file: filename, transcriptHash }
+      });
+      await save({ articleData });
+      logger.info(`✓ Article generated: "${articleData.title}"`);
+    } else {
+      logger.info(`Steps 1-2/7: Already transformed ("${job.articleData.title}"), skipping`);
+    }
+
+    const { articleData } = job;
+
+    if (!job.imageFields) {
+      await save({ state: 'fetching-image' });
+
+      // Step 3: Fetch the featured image and figures, and save them into the site (dry runs only look them up)
+      logger.info('Step 3/7: Fetching featured image...');
+      const slug = generateSlug(articleData.title);
+      const chosen = await getImageForArticle(articleData.imageSearchTerms, articleData.category, articleData.tags);
+      const imageFields = dryRun
+        ? chosenImageFields(chosen)
+        : await saveArticleImage(chosen, slug, { fallbackCategory: articleData.category });
+      const remote = !imageFields.image.startsWith('/');
+      logger.info(`✓ Image: ${imageFields.image}${dryRun && remote ? ' (not downloaded in a dry run)' : ''}`);
+
+      const figures = await resolveFigures(articleData.figures, {
+        content: articleData.content,
+        category: articleData.category,
+        slug,
+        exclude: [chosen.url, imageFields.image],
+        dryRun
+      });
+      if (figures.length > 0) {
+        logger.info(`✓ Figures: ${figures.map(figure => figure.src).join(', ')}`);
+      }
+      await save({ imageFields, figures });
+    } else {
+      logger.info(`Step 3/7: Images already chosen (${job.imageFields.image}), skipping`);
+    }
+
+    await save({ state: 'saving' });
 
-    const validation = validateTranscript(transcriptText);
-    if (!validation.valid) {
-      throw new Error(`Invalid transcript: ${validation.error}`);
+    if (dryRun) {
+      const { article: draft } = await previewSaveDraft(await buildJobDraft(job));
+      return reportDryRun(await previewPublishDraft(draft));
     }
 
-    logger.info(`✓ Transcript loaded (${transcriptText.length} characters)`);
-
-    // Step 2: Transform transcript with Claude API
-    logger.info('Step 2/7: Transforming transcript with Claude API...');
-    const articleData = await transformTranscript(transcriptText);
-    logger.info(`✓ Article generated: "${articleData.title}"`);
-
-    // Step 3: Generate metadata
-    logger.info('Step 3/7: Generating metadata...');
-    const nextId = await getNextArticleId();
-    const slug = generateSlug(articleData.title);
-    const date = getCurrentDate();
-    const author = 'Simply Nerdy';
-
-    logger.info(`✓ ID: ${nextId}, Slug: ${slug}, Date: ${date}`);
-
-    // Step 4: Fetch image
-    logger.info('Step 4/7: Fetching featured image...');
-    const imageUrl = await getImageForArticle(articleData.imageSearchTerms, articleData.category);
-    logger.info(`✓ Image: ${imageUrl}`);
-
-    // Step 5: Build complete article object
-    logger.info('Step 5/7: Building article object...');
-    const article = {
-      id: nextId,
-      title: articleData.title,
-      slug: slug,
-      date: date,
-      category: articleData.category,
-      excerpt: articleData.excerpt,
-      content: articleData.content,
-      tags: articleData.tags,
-      author: author,
-      image: imageUrl
-    };
-
-    logger.info(`✓ Article complete (category: ${article.category}, tags: ${article.tags.length})`);
-
-    // Step 6: Append to articles.json
-    logger.info('Step 6/7: Saving to articles.json...');
-    await appendArticle(article);
-    logger.info(`✓ Article saved successfully!`);
+    // Steps 4-6: Generate metadata, build article and save it as a draft
+    const article = await saveJobDraft(job);
 
     // Step 7: Move transcript to processed folder
     logger.info('Step 7/7: Archiving transcript...');
     await cleanupOnSuccess(filePath);
     logger.info(`✓ Transcript archived`);
 
-    // Calculate processing time
+    await save({
+      state: 'done',
+      articleId: article.id,
+      articleData: undefined,
+      regenerateId: undefined
+    });
+
+    // Calculate processing time and what the model calls cost
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    const usage = await describeJobUsage(job);
 
     logger.info(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
     logger.info(`✅ SUCCESS! Processing complete in ${duration}s`);
-    logger.info(`   Article ID: ${nextId}`);
+    logger.info(`   Draft ID: ${article.id}`);
+    logger.info(`   Model usage: ${usage}`);
     logger.info(`   Title: ${article.title}`);
     logger.info(`   Category: ${article.category}`);
+    if (article.publishAt) {
+      logger.info(`   Publish at: ${article.publishAt}`);
+    }
+    logger.info(`   Review it with: npm run cli -- review ${article.id}`);
     logger.info(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
+
+    return article;
   } catch (error) {
     logger.error(`❌ FAILED: ${error.message}`);
-    await handleError(filePath, error);
-  } finally {
-    processingFiles.delete(filePath);
+
+    if (dryRun) {
+      throw error;
+    }
+
+    const failedFile = await handleError(filePath, error, job.state);
+    await save({ state: 'failed', failedStep: job.state, error: error.message, failedFile });
+    return null;
+  }
+}
+
+/**
+ * Sum up a job's model calls from the usage ledger
+ * @param {Object} job - Job record
+ * @returns {Promise<string>} e.g. "2 calls, 12345 input / 1234 output tokens, $0.0556"
+ */
+async function describeJobUsage(job) {
+  const config = await loadSettings();
+  const total = totalUsage((await readUsage()).filter(entry => entry.job === job.id), config.modelPrices);
+  const cost = total.unpriced.length > 0 ? `no price for ${total.unpriced.join(', ')}` : `$${total.cost.toFixed(4)}`;
+  return `${total.calls} call(s), ${total.inputTokens} input / ${total.outputTokens} output tokens, ${cost}`;
+}
+
+/**
+ * Find an earlier draft, article or job for the same transcript content
+ * Matches drafts (including rejected ones) and articles.json entries by
+ * transcriptHash, then other unfinished jobs queued before this one (so two
+ * copies dropped at once only run once).
+ * @param {Object} job - Job record with transcriptHash set
+ * @returns {Promise<Object|null>} { article, isDraft } or { job }, or null if the transcript is new
+ */
+async function findDuplicate(job) {
+  const draft = await findDraftByTranscriptHash(job.transcriptHash);
+  if (draft) {
+    return { article: draft, isDraft: true };
+  }
+
+  const article = await findArticleByTranscriptHash(job.transcriptHash);
+  if (article) {
+    return { article, isDraft: false };
+  }
+
+  const earlier = (await listJobs()).find(other =>
+    other.id !== job.id &&
+    other.transcriptHash === job.transcriptHash &&
+    !['done', 'skipped', 'failed'].includes(other.state) &&
+    (other.createdAt < job.createdAt || (other.createdAt === job.createdAt && other.id < job.id))
+  );
+  return earlier ? { job: earlier } : null;
+}
+
+/**
+ * Describe what a duplicate transcript matched, for log messages
+ * @param {Object} duplicate - Result of findDuplicate
+ * @returns {string} Description
+ */
+function describeDuplicate(duplicate) {
+  if (!duplicate.article) {
+    return `${duplicate.job.filename}, which is already in the queue`;
+  }
+
+  const { id, title, status } = duplicate.article;
+  const kind = duplicate.isDraft ? `${status === 'rejected' ? 'rejected ' : ''}draft` : 'article';
+  return `${kind} ${id} ("${title}")`;
+}
+
+/**
+ * Skip a transcript that was already processed
+ * The file is archived with a -DUPLICATE suffix so it is not picked up again.
+ * @param {Object} job - Job record
+ * @param {Object} duplicate - Result of findDuplicate
+ * @param {Function} save - Records progress on the job
+ * @param {Object} options - Processing options
+ * @param {boolean} options.dryRun - Report only, leave the file where it is
+ * @returns {Promise<Object|null>} The existing article (null if the original is still in the queue)
+ */
+async function skipDuplicate(job, duplicate, save, options = {}) {
+  const { dryRun = false } = options;
+
+  logger.warn(`⚠ Duplicate transcript: same content as ${describeDuplicate(duplicate)}`);
+
+  if (dryRun) {
+    logger.info('Nothing would be generated. Use --regenerate to draft a new version of the existing article.');
+    return duplicate.article || null;
+  }
+
+  await cleanupOnSuccess(job.file, '-DUPLICATE');
+  await save({ state: 'skipped', articleId: duplicate.article ? duplicate.article.id : undefined });
+  logger.info('Skipped and archived. Use "process <file> --regenerate" to draft a new version of the existing article.');
+
+  return duplicate.article || null;
+}
+
+/**
+ * Build the draft a job should save
+ * A regenerated transcript starts from the existing draft or published article
+ * (keeping its ID, slug, date and author) and replaces the generated fields.
+ * @param {Object} job - Job record with articleData, imageFields and figures
+ * @returns {Promise<Object>} Draft fields (ID assigned on save for new drafts)
+ */
+async function buildJobDraft(job) {
+  // Sanitized again with the figures in, so the draft holds what the site will render
+  const content = sanitizeHtml(insertFigures(job.articleData.content, job.figures));
+  const articleData = { ...job.articleData, content };
+
+  if (!job.regenerateId) {
+    const article = await buildArticle(articleData, job.imageFields, job.transcriptHash, job.metadata);
+    return job.publishAt ? { ...article, publishAt: job.publishAt } : article;
+  }
+
+  logger.info(`Steps 4-5/7: Regenerating article ${job.regenerateId}...`);
+  const data = await readArticles();
+  const base = (await getDraft(job.regenerateId)) || data.posts.find(p => p.id === job.regenerateId);
+  if (!base) {
+    throw new Error(`Article to regenerate not found: ${job.regenerateId}`);
+  }
+
+  const generated = { ...articleData, ...job.imageFields };
+  const draft = { ...base, transcriptHash: job.transcriptHash };
+  if (job.publishAt) {
+    draft.publishAt = job.publishAt;
+  }
+  // A field the new article doesn't have (e.g. sections) is dropped rather than kept stale
+  REGENERATED_FIELDS.forEach(field => {
+    if (field in generated) draft[field] = generated[field];
+    else delete draft[field];
+  });
+  // Front-matter details (and detected hosts) update the article; without them the old ones stay
+  if (job.metadata && EPISODE_FIELDS.some(field => field in job.metadata)) {
+    Object.assign(draft, await buildEpisodeFields(job.metadata));
   }
+  return draft;
+}
+
+/**
+ * Save the job's article to the drafts store
+ * A job resumed after a crash mid-save finds its draft by transcript hash
+ * (findDuplicate ruled out older drafts) instead of saving it twice.
+ * @param {Object} job - Job record
+ * @returns {Promise<Object>} Saved draft
+ */
+async function saveJobDraft(job) {
+  if (!job.regenerateId && job.transcriptHash) {
+    const saved = await findDraftByTranscriptHash(job.transcriptHash);
+    if (saved) {
+      logger.info(`Steps 4-6/7: Draft ${saved.id} was already saved, skipping`);
+      return saved;
+    }
+  }
+
+  const article = await buildJobDraft(job);
+
+  // Step 6: Save to the drafts store
+  logger.info('Step 6/7: Saving draft for review...');
+  const draft = await saveDraft(article);
+  logger.info(`✓ Draft saved successfully!`);
+
+  return draft;
+}
+
+/**
+ * Turn a caption file into a timestamped transcript (see captions.js)
+ * @param {string} text - Caption file content (without front-matter)
+ * @param {Object} config - Settings object
+ * @returns {string} Transcript text
+ */
+function readCaptions(text, config) {
+  const { text: transcript, cueCount, paragraphCount } = captionsToTranscript(text, {
+    gapSeconds: config.captionPauseSeconds,
+    maxChars: config.captionParagraphMaxChars
+  });
+
+  logger.info(`✓ Merged ${cueCount} caption cues into ${paragraphCount} timestamped paragraphs`);
+  return transcript;
+}
+
+/**
+ * Build the complete article object (metadata steps 4-5)
+ * The ID is assigned when the draft is saved, under the drafts lock.
+ * @param {Object} articleData - Generated article fields
+ * @param {Object} imageFields - Featured image { image, imageSizes?, imageAlt?, imageCredit? } (see saveArticleImage)
+ * @param {string} [transcriptHash] - Hash of the source transcript
+ * @param {Object} [metadata] - Episode metadata from the front-matter (author, episode, hosts...)
+ * @returns {Promise<Object>} Article object without an ID
+ */
+async function buildArticle(articleData, imageFields, transcriptHash, metadata) {
+  // Step 4: Generate metadata
+  logger.info('Step 4/7: Generating metadata...');
+  const slug = generateSlug(articleData.title);
+  const date = getCurrentDate();
+  const { author, ...episodeFields } = await buildEpisodeFields(metadata);
+
+  logger.info(`✓ Slug: ${slug}, Date: ${date}`);
+
+  // Step 5: Build complete article object
+  logger.info('Step 5/7: Building article object...');
+  const article = {
+    title: articleData.title,
+    slug: slug,
+    date: date,
+    category: articleData.category,
+    excerpt: articleData.excerpt,
+    content: articleData.content,
+    tags: articleData.tags,
+    author: author,
+    ...imageFields,
+    ...episodeFields
+  };
+
+  if (articleData.sections) {
+    article.sections = articleData.sections;
+  }
+
+  if (transcriptHash) {
+    article.transcriptHash = transcriptHash;
+  }
+
+  logger.info(`✓ Article complete (category: ${article.category}, tags: ${article.tags.length})`);
+  return article;
+}
+
+/**
+ * Print the articles.json change the draft would make once published, writing nothing
+ * @param {Object} preview - Result of previewPublishDraft
+ * @returns {Promise<Object>} Article as it would be published
+ */
+async function reportDryRun(preview) {
+  logger.info('Step 6/7: Previewing articles.json changes (dry run)...');
+  const diff = diffLines(preview.before, preview.after);
+
+  console.log('\nArticle object:');
+  console.log(JSON.stringify(preview.article, null, 2));
+
+  console.log(`\nID:    ${preview.article.id}`);
+  console.log(`Slug:  ${preview.article.slug}`);
+  console.log(`Image: ${preview.article.image}`);
+
+  console.log('\narticles.json diff:');
+  console.log(diff || '(no changes)');
+  console.log('');
+
+  logger.info('Step 7/7: Skipped archiving transcript (dry run)');
+  logger.info('✅ DRY RUN complete - nothing was written');
+  return preview.article;
 }
 
 /**
  * Move transcript to processed folder on success
  * @param {string} filePath - Original file path
+ * @param {string} [suffix] - Marker added after the timestamp (e.g., "-DUPLICATE")
  */
-async function cleanupOnSuccess(filePath) {
+async function cleanupOnSuccess(filePath, suffix = '') {
   const config = await loadSettings();
   const filename = path.basename(filePath);
   const timestamp = getTimestamp();
@@ -157,9 +526,9 @@ async function cleanupOnSuccess(filePath) {
   // Add timestamp to filename to prevent overwrites
   const nameWithoutExt = path.basename(filename, path.extname(filename));
   const ext = path.extname(filename);
-  const newFilename = `${nameWithoutExt}-${timestamp}${ext}`;
+  const newFilename = `${nameWithoutExt}-${timestamp}${suffix}${ext}`;
 
-  const processedFolder = path.resolve(__dirname, config.processedFolder);
+  const processedFolder = path.resolve(__dirname, '..', config.processedFolder);
   const destination = path.join(processedFolder, newFilename);
 
   await moveFile(filePath, destination);
@@ -169,8 +538,10 @@ async function cleanupOnSuccess(filePath) {
  * Move transcript to failed folder on error
  * @param {string} filePath - Original file path
  * @param {Error} error - Error object
+ * @param {string} [step] - Job state when the error happened
+ * @returns {Promise<string|null>} Path of the moved transcript, or null if it could not be moved
  */
-async function handleError(filePath, error) {
+async function handleError(filePath, error, step) {
   try {
     const config = await loadSettings();
     const filename = path.basename(filePath);
@@ -181,7 +552,7 @@ async function handleError(filePath, error) {
     const ext = path.extname(filename);
     const newFilename = `${nameWithoutExt}-${timestamp}-FAILED${ext}`;
 
-    const failedFolder = path.resolve(__dirname, config.failedFolder);
+    const failedFolder = path.resolve(__dirname, '..', config.failedFolder);
     const destination = path.join(failedFolder, newFilename);
 
     await moveFile(filePath, destination);
@@ -191,6 +562,7 @@ async function handleError(filePath, error) {
     const errorLog = `
 Processing Failed: ${new Date().toISOString()}
 File: ${filename}
+Failed Step: ${step || 'unknown'}
 Error: ${error.message}
 
 Stack Trace:
@@ -200,9 +572,81 @@ ${error.stack}
     await fs.writeFile(errorLogPath, errorLog, 'utf8');
 
     logger.error(`Moved failed transcript to: ${newFilename}`);
+    return destination;
   } catch (moveError) {
     logger.error(`Failed to move error file: ${moveError.message}`);
+    return null;
+  }
+}
+
+/**
+ * Move failed transcripts back to the incoming folder and queue them again
+ * Saved step results are kept, so a transcript that Claude already transformed
+ * resumes at the step that failed instead of calling the API again.
+ * @param {Object} options - Retry options
+ * @param {string[]} options.names - Failed filenames to retry (all if empty)
+ * @param {boolean} options.fresh - Discard saved results and start from the beginning
+ * @returns {Promise<Object[]>} Retried transcripts [{ filename, resumeFrom }]
+ */
+async function retryFailed(options = {}) {
+  const { names = [], fresh = false } = options;
+  const config = await loadSettings();
+  const failedFolder = path.resolve(__dirname, '..', config.failedFolder);
+  const watchFolder = path.resolve(__dirname, '..', config.watchFolder);
+
+  const files = (await fileExists(failedFolder)) ? await fs.readdir(failedFolder) : [];
+  const failedFiles = files.filter(f => FAILED_NAME_PATTERN.test(f));
+  const selected = names.length > 0
+    ? failedFiles.filter(f => names.includes(f) || names.includes(f.replace(FAILED_NAME_PATTERN, '$1$3')))
+    : failedFiles;
+
+  const failedJobs = (await listJobs()).filter(job => job.state === 'failed');
+  const retried = [];
+
+  await fs.mkdir(watchFolder, { recursive: true });
+
+  for (const failedName of selected) {
+    const failedPath = path.join(failedFolder, failedName);
+    const originalName = failedName.replace(FAILED_NAME_PATTERN, '$1$3');
+    const destination = path.join(watchFolder, originalName);
+
+    if (await fileExists(destination)) {
+      logger.warn(`Skipping ${failedName}: ${originalName} is already in the incoming folder`);
+      continue;
+    }
+
+    const job = failedJobs.find(j => j.failedFile === failedPath);
+    let resumeFrom = 'transforming';
+
+    // Re-queue before moving, so a running watcher finds the job instead of creating a new one
+    if (job) {
+      const reset = fresh
+        ? { articleData: undefined, imageFields: undefined, figures: undefined, regenerateId: undefined }
+        : {};
+      const requeued = await updateJob(job.id, {
+        ...reset,
+        state: 'queued',
+        file: destination,
+        filename: originalName,
+        retries: (job.retries || 0) + 1,
+        error: undefined,
+        failedFile: undefined,
+        failedStep: undefined
+      });
+      if (requeued.imageFields) resumeFrom = 'saving';
+      else if (requeued.articleData) resumeFrom = 'fetching-image';
+    } else {
+      await enqueue(destination);
+    }
+
+    await moveFile(failedPath, destination);
+    await fs.rm(path.join(failedFolder, failedName.replace(FAILED_NAME_PATTERN, '$1-$2-FAILED.error.txt')), { force: true });
+
+    logger.info(`Re-queued ${originalName} (resumes at "${resumeFrom}")`);
+    retried.push({ filename: originalName, resumeFrom });
   }
+
+  return retried;
 }
 
 /**
@@ -210,16 +654,20 @@ ${error.stack}
  * @param {string} filePath - Path to added file
  */
 async function handleFileAdded(filePath) {
-  // Only process .txt files
-  if (!filePath.endsWith('.txt')) {
-    logger.debug(`Ignoring non-.txt file: ${path.basename(filePath)}`);
+  // Only process transcripts and caption files
+  if (!isTranscriptFile(filePath)) {
+    logger.debug(`Ignoring unsupported file: ${path.basename(filePath)}`);
     return;
   }
 
   // Wait a bit to ensure file is fully written
   await new Promise(resolve => setTimeout(resolve, 1000));
 
-  await processTranscript(filePath);
+  try {
+    await enqueue(filePath);
+  } catch (error) {
+    logger.error(`Failed to queue ${path.basename(filePath)}: ${error.message}`);
+  }
 }
 
 /**
@@ -227,7 +675,7 @@ async function handleFileAdded(filePath) {
  */
 async function startWatcher() {
   const config = await loadSettings();
-  const watchFolder = path.resolve(__dirname, config.watchFolder);
+  const watchFolder = path.resolve(__dirname, '..', config.watchFolder);
 
   // Ensure watch folder exists
   await fs.mkdir(watchFolder, { recursive: true });
@@ -236,9 +684,12 @@ async function startWatcher() {
   logger.info(`     SIMPLY NERDY AUTOMATION STARTED`);
   logger.info(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
   logger.info(`Watching folder: ${watchFolder}`);
-  logger.info(`Drop .txt transcript files to process them automatically`);
+  logger.info(`Drop transcript files (${TRANSCRIPT_EXTENSIONS.join(', ')}) to process them automatically`);
   logger.info(`Press Ctrl+C to stop\n`);
 
+  // Start the job queue (resumes anything a previous run left unfinished)
+  await startQueue(runJob);
+
   // Create watcher
   const watcher = chokidar.watch(watchFolder, {
     ignored: /(^|[\/\\])\../, // Ignore dotfiles
@@ -274,17 +725,49 @@ async function startWatcher() {
   });
 }
 
+/**
+ * Exit with a helpful message if the model provider is not set up
+ * (e.g. the Anthropic provider without ANTHROPIC_API_KEY)
+ */
+async function requireProviderConfig() {
+  const provider = await getActiveProvider();
+  const problem = provider.checkConfig();
+
+  if (problem) {
+    logger.error(`ERROR: ${problem}`);
+    logger.error(`The "${provider.name}" provider is selected by settings.provider (or LLM_PROVIDER / --provider)`);
+    logger.error('See .env.example and the README for reference');
+    process.exit(1);
+  }
+}
+
 /**
  * Main entry point
  */
 async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+
+  // --provider=<name> works like LLM_PROVIDER, without shell-specific syntax (npm test uses it)
+  const providerArg = args.find(arg => arg.startsWith('--provider='));
+  if (providerArg) {
+    process.env.LLM_PROVIDER = providerArg.slice('--provider='.length);
+  }
+
   try {
     // Check for required environment variables
-    if (!process.env.ANTHROPIC_API_KEY) {
-      logger.error('ERROR: ANTHROPIC_API_KEY environment variable not set');
-      logger.error('Please create a .env file with your API key');
-      logger.error('See .env.example for reference');
-      process.exit(1);
+    await requireProviderConfig();
+
+    if (dryRun) {
+      const target = args.find(arg => !arg.startsWith('--')) ||
+        path.resolve(__dirname, '../../transcripts/sample-transcript.txt');
+      const formatArg = args.find(arg => arg.startsWith('--format='));
+      await processTranscript(path.resolve(target), {
+        dryRun: true,
+        regenerate: args.includes('--regenerate'),
+        format: formatArg ? formatArg.slice('--format='.length) : undefined
+      });
+      return;
     }
 
     // Start the watcher
@@ -300,4 +783,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-export { processTranscript, startWatcher };
+export { processTranscript, retryFailed, startWatcher, requireProviderConfig };
@@ -0,0 +1,242 @@
+/**
+ * Simply Nerdy - Usage Ledger
+ * Records tokens, latency and retries of every model call, and prices them
+ *
+ * Each call is one JSON line in settings.usageLedgerFile:
+ *   { at, provider, model, purpose, inputTokens, outputTokens, retries,
+ *     latencyMs, job, file, transcriptHash, dryRun?, error? }
+ * Costs are worked out when reading, from settings.modelPrices (USD per
+ * million tokens), so a price change applies to the whole history.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger, withFileLock, fileExists, getCurrentDate } from './utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+let settings = null;
+const warnedUnpriced = new Set(); // Models already warned about, so the log says it once per run
+
+/**
+ * Load settings from config file
+ * @returns {Promise<Object>} Settings object
+ */
+async function loadSettings() {
+  if (settings) return settings;
+
+  const settingsPath = path.resolve(__dirname, '../config/settings.json');
+  const content = await fs.readFile(settingsPath, 'utf8');
+  settings = JSON.parse(content);
+  return settings;
+}
+
+/**
+ * Get absolute path to the ledger file (USAGE_LEDGER_FILE overrides settings.usageLedgerFile)
+ * @returns {Promise<string>} Absolute path
+ */
+async function getLedgerPath() {
+  const config = await loadSettings();
+  return path.resolve(__dirname, '..', process.env.USAGE_LEDGER_FILE || config.usageLedgerFile);
+}
+
+/**
+ * Month a ledger entry counts towards (local time)
+ * @param {string|Date} at - Entry timestamp
+ * @returns {string} "YYYY-MM"
+ */
+export function monthOf(at) {
+  return getCurrentDate(new Date(at)).slice(0, 7);
+}
+
+/**
+ * Append one model call to the ledger
+ * A ledger that can't be written is logged, not thrown: losing a usage
+ * line is better than failing a transcript whose article is already paid for.
+ * A model without a price in settings.modelPrices is warned about, since its
+ * calls count as $0 towards the budget.
+ * @param {Object} entry - Call details (see the file header); "at" is added
+ * @returns {Promise<void>}
+ */
+export async function recordUsage(entry) {
+  try {
+    const config = await loadSettings();
+    const ledgerPath = await getLedgerPath();
+    await fs.mkdir(path.dirname(ledgerPath), { recursive: true });
+
+    if (entry.model && !findModelPrice(entry.model, config.modelPrices) && !warnedUnpriced.has(entry.model)) {
+      warnedUnpriced.add(entry.model);
+      logger.warn(`No price in modelPrices for ${entry.model}: its calls count as $0 towards the budget`);
+    }
+
+    const line = `${JSON.stringify({ at: new Date().toISOString(), ...entry })}\n`;
+    await withFileLock(`${ledgerPath}.lock`, () => fs.appendFile(ledgerPath, line), {
+      timeoutMs: config.lockTimeoutMs,
+      staleMs: config.lockStaleMs
+    });
+  } catch (error) {
+    logger.warn(`Could not record usage: ${error.message}`);
+  }
+}
+
+/**
+ * Read the ledger
+ * Lines that don't parse (e.g. cut off by a crash) are skipped.
+ * @param {Object} options - Read options
+ * @param {string} options.month - Only entries of this "YYYY-MM" month
+ * @returns {Promise<Object[]>} Entries, oldest first
+ */
+export async function readUsage(options = {}) {
+  const ledgerPath = await getLedgerPath();
+  if (!(await fileExists(ledgerPath))) {
+    return [];
+  }
+
+  const entries = (await fs.readFile(ledgerPath, 'utf8'))
+    .split('\n')
+    .filter(line => line.trim())
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        logger.warn(`Skipping unreadable usage line: ${line.slice(0, 80)}`);
+        return [];
+      }
+    });
+
+  return options.month ? entries.filter(entry => monthOf(entry.at) === options.month) : entries;
+}
+
+/**
+ * Find the price of a model
+ * Exact names win; otherwise the longest configured name the model starts
+ * with, so "claude-sonnet-4-5-20250929" uses the "claude-sonnet-4-5" price.
+ * @param {string} model - Model name as reported by the provider
+ * @param {Object} prices - settings.modelPrices { model: { input, output } }
+ * @returns {Object|null} { input, output } in USD per million tokens, or null if unpriced
+ */
+export function findModelPrice(model, prices = {}) {
+  if (prices[model]) return prices[model];
+
+  const prefix = Object.keys(prices)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+}
+
+/**
+ * Cost of one ledger entry
+ * @param {Object} entry - Ledger entry
+ * @param {Object} prices - settings.modelPrices
+ * @returns {number|null} USD, or null if the model has no price
+ */
+export function costOf(entry, prices) {
+  const price = findModelPrice(entry.model, prices);
+  if (!price) return null;
+  return (entry.inputTokens * price.input + entry.outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Add up ledger entries
+ * @param {Object[]} entries - Ledger entries
+ * @param {Object} prices - settings.modelPrices
+ * @returns {Object} { calls, failed, inputTokens, outputTokens, retries, latencyMs, cost, unpriced: [model] }
+ */
+export function totalUsage(entries, prices) {
+  const total = { calls: 0, failed: 0, inputTokens: 0, outputTokens: 0, retries: 0, latencyMs: 0, cost: 0, unpriced: [] };
+
+  entries.forEach(entry => {
+    total.calls++;
+    if (entry.error) total.failed++;
+    total.inputTokens += entry.inputTokens;
+    total.outputTokens += entry.outputTokens;
+    total.retries += entry.retries;
+    total.latencyMs += entry.latencyMs;
+
+    const cost = costOf(entry, prices);
+    if (cost !== null) total.cost += cost;
+    else if (!total.unpriced.includes(entry.model)) total.unpriced.push(entry.model);
+  });
+
+  return total;
+}
+
+/**
+ * Group ledger entries and add up each group
+ * @param {Object[]} entries - Ledger entries
+ * @param {Function} keyOf - Entry => group key
+ * @param {Object} prices - settings.modelPrices
+ * @returns {Object[]} [{ key, entries, ...totalUsage }] in order of first appearance
+ */
+export function groupUsage(entries, keyOf, prices) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+
+  return [...groups].map(([key, group]) => ({ key, entries: group, ...totalUsage(group, prices) }));
+}
+
+/**
+ * Build the usage report behind the stats command
+ * Calls are grouped per month and per transcript: by transcript hash (so a
+ * regenerated article's calls add up), with dry runs kept apart.
+ * @param {Object} options - Report options
+ * @param {string} options.month - Only this "YYYY-MM" month
+ * @returns {Promise<Object>} { months, transcripts, total } - groups as returned by groupUsage
+ */
+export async function getUsageReport(options = {}) {
+  const config = await loadSettings();
+  const entries = await readUsage(options);
+
+  const transcriptKey = entry => `${entry.dryRun ? 'dry-run:' : ''}${entry.transcriptHash || entry.job || entry.file}`;
+
+  return {
+    months: groupUsage(entries, entry => monthOf(entry.at), config.modelPrices),
+    transcripts: groupUsage(entries, transcriptKey, config.modelPrices),
+    total: totalUsage(entries, config.modelPrices)
+  };
+}
+
+/**
+ * Check whether a ledger entry counts towards the budget
+ * Mock provider calls cost nothing, and dry-run entries (recorded by older
+ * versions) are left out like the dry runs that are no longer recorded.
+ * @param {Object} entry - Ledger entry
+ * @returns {boolean} True if the entry's cost counts
+ */
+function countsTowardsBudget(entry) {
+  return !entry.dryRun && entry.provider !== 'mock';
+}
+
+/**
+ * Check this month's spending against settings.monthlyBudgetUsd
+ * Dry runs are stopped by it too, but aren't recorded, so they never add to it.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { month, spent, budget, exceeded } (budget null when there is no cap)
+ */
+export async function getBudgetStatus(now = new Date()) {
+  const config = await loadSettings();
+  const month = monthOf(now);
+  const budget = typeof config.monthlyBudgetUsd === 'number' ? config.monthlyBudgetUsd : null;
+  const entries = (await readUsage({ month })).filter(countsTowardsBudget);
+  const { cost } = totalUsage(entries, config.modelPrices);
+
+  return { month, spent: cost, budget, exceeded: budget !== null && cost >= budget };
+}
+
+export default {
+  monthOf,
+  recordUsage,
+  readUsage,
+  findModelPrice,
+  costOf,
+  totalUsage,
+  groupUsage,
+  getUsageReport,
+  getBudgetStatus
+};
@@ -6,11 +6,17 @@
 import winston from 'winston';
 import { promises as fs } from 'fs';
 import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
 import { fileURLToPath } from 'url';
+import contentSanitizer from '../../js/sanitize-html.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const heldLocks = new AsyncLocalStorage(); // Lock paths held by the current call chain
+
 /**
  * Configure Winston logger
  */
@@ -77,22 +83,43 @@ export function generateId(currentMaxId) {
 
 /**
  * Get current date in YYYY-MM-DD format
+ * @param {Date} [now] - Date to format instead of today (local time)
  * @returns {string} Current date
  */
-export function getCurrentDate() {
-  const now = new Date();
+export function getCurrentDate(now = new Date()) {
   const year = now.getFullYear();
   const month = String(now.getMonth() + 1).padStart(2, '0');
   const day = String(now.getDate()).padStart(2, '0');
   return `${year}-${month}-${day}`;
 }
 
+/**
+ * Parse a publish date/time given on the command line
+ * Dates without a time mean local midnight; times without a zone are local.
+ * @param {string} value - e.g. "2026-11-01", "2026-11-01 09:00" or a full ISO timestamp
+ * @returns {string} ISO timestamp (UTC)
+ */
+export function parsePublishAt(value) {
+  const text = String(value).trim().replace(' ', 'T');
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00` : text);
+
+  if (!/^\d{4}-\d{2}-\d{2}/.test(text) || isNaN(date.getTime())) {
+    throw new Error(`Invalid publish date "${value}" (expected YYYY-MM-DD or YYYY-MM-DD HH:MM)`);
+  }
+
+  return date.toISOString();
+}
+
 /**
  * Validate transcript file content
  * @param {string} text - Transcript text
+ * @param {Object} options - Validation options
+ * @param {number} options.maxLength - Longest transcript accepted, in characters
  * @returns {Object} Validation result { valid: boolean, error?: string }
  */
-export function validateTranscript(text) {
+export function validateTranscript(text, options = {}) {
+  const { maxLength = 100000 } = options;
+
   if (!text || typeof text !== 'string') {
     return { valid: false, error: 'Transcript is empty or not a string' };
   }
@@ -102,41 +129,346 @@ export function validateTranscript(text) {
     return { valid: false, error: 'Transcript too short (minimum 100 characters)' };
   }
 
-  if (trimmed.length > 100000) {
-    return { valid: false, error: 'Transcript too long (maximum 100,000 characters)' };
+  if (trimmed.length > maxLength) {
+    return { valid: false, error: `Transcript too long (maximum ${maxLength.toLocaleString('en-US')} characters)` };
   }
 
   return { valid: true };
 }
 
+// Escapes understood in double-quoted YAML strings
+const YAML_ESCAPES = { '"': '"', '\\': '\\', '/': '/', n: '\n', t: '\t', r: '\r', 0: '\0' };
+
+/**
+ * Read a quoted YAML string starting at text[start]
+ * Double quotes take backslash escapes; in single quotes '' is a quote.
+ * @param {string} text - Text holding the string
+ * @param {number} start - Index of the opening quote
+ * @returns {{value: string, end: number}} Unescaped string and the index after the closing quote
+ */
+function readYamlQuoted(text, start) {
+  const quote = text[start];
+  let value = '';
+
+  for (let i = start + 1; i < text.length; i++) {
+    const char = text[i];
+    if (char === quote && quote === "'" && text[i + 1] === "'") {
+      value += "'";
+      i++;
+    } else if (char === quote) {
+      return { value, end: i + 1 };
+    } else if (char === '\\' && quote === '"') {
+      const escape = text[++i];
+      if (!(escape in YAML_ESCAPES)) {
+        throw new Error(`unsupported escape \\${escape || ''}`);
+      }
+      value += YAML_ESCAPES[escape];
+    } else {
+      value += char;
+    }
+  }
+
+  throw new Error(`missing closing ${quote}`);
+}
+
+/**
+ * Type an unquoted YAML scalar: integer, true/false or plain text
+ * @param {string} text - Value as written, without comment
+ * @returns {string|number|boolean} Parsed value
+ */
+function parsePlainYamlScalar(text) {
+  const value = text.trim();
+
+  if (/^[{&*!|>%@`]/.test(value)) {
+    throw new Error(`unsupported YAML "${value}" (quote it if it is text)`);
+  }
+  if (/^-?\d+$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+
 /**
- * Sanitize HTML content (basic security check)
+ * Read an inline [a, "b, c", 'd'] list starting at text[0]
+ * @param {string} text - Text starting with "["
+ * @returns {{value: any[], end: number}} Items and the index after the closing bracket
+ */
+function readYamlList(text) {
+  const items = [];
+  let i = 1;
+
+  for (;;) {
+    while (/\s/.test(text[i] || '')) i++;
+    if (text[i] === ']' && items.length === 0) return { value: items, end: i + 1 };
+
+    if (text[i] === '"' || text[i] === "'") {
+      const quoted = readYamlQuoted(text, i);
+      items.push(quoted.value);
+      i = quoted.end;
+    } else {
+      const plain = text.slice(i).match(/^[^,[\]#]*/)[0];
+      if (!plain.trim()) {
+        throw new Error(i < text.length ? `unexpected "${text[i]}" in list` : 'missing closing ]');
+      }
+      items.push(parsePlainYamlScalar(plain));
+      i += plain.length;
+    }
+
+    while (/\s/.test(text[i] || '')) i++;
+    if (text[i] === ']') return { value: items, end: i + 1 };
+    if (text[i] !== ',') {
+      throw new Error(i < text.length ? `unexpected "${text[i]}" in list` : 'missing closing ]');
+    }
+    i++;
+  }
+}
+
+/**
+ * Parse one YAML value: quoted string, integer, true/false, [inline, list] or
+ * plain text, followed by an optional "# comment"
+ * @param {string} raw - Value as written
+ * @returns {any} Parsed value
+ */
+function parseYamlValue(raw) {
+  const text = raw.trim();
+
+  let parsed;
+  if (text.startsWith('[')) {
+    parsed = readYamlList(text);
+  } else if (text.startsWith('"') || text.startsWith("'")) {
+    parsed = readYamlQuoted(text, 0);
+  } else {
+    // A plain value ends where a comment starts
+    const comment = text.search(/\s#/);
+    return parsePlainYamlScalar(comment === -1 ? text : text.slice(0, comment));
+  }
+
+  const rest = text.slice(parsed.end).trim();
+  if (rest && !rest.startsWith('#')) {
+    throw new Error(`unexpected "${rest}" after the value`);
+  }
+  return parsed.value;
+}
+
+/**
+ * Split front-matter off the top of a transcript
+ * The block is fenced by "---" lines and must start on the first line. It
+ * holds either a JSON object or a subset of YAML: "key: value" lines, inline
+ * [a, "b, c"] lists, "- item" lists under an empty key, and # comments.
+ * Values are quoted strings ("..." with backslash escapes, or '...'),
+ * integers, true/false or plain text; anything else (nested blocks, anchors,
+ * multi-line strings) is rejected. A text without front-matter comes back
+ * unchanged.
+ * @param {string} text - Transcript file content
+ * @returns {{data: Object, body: string}} Front-matter values and the remaining transcript
+ */
+export function parseFrontMatter(text) {
+  const match = text.match(/^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    return { data: {}, body: text };
+  }
+
+  const block = match[1];
+  const body = text.slice(match[0].length);
+
+  if (block.trim().startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(block);
+    } catch (error) {
+      throw new Error(`Invalid JSON front-matter: ${error.message}`);
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('JSON front-matter must be an object');
+    }
+    return { data, body };
+  }
+
+  const data = {};
+  let listKey = null; // Key whose "- item" lines are being collected
+
+  block.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const parse = raw => {
+      try {
+        return parseYamlValue(raw);
+      } catch (error) {
+        throw new Error(`Invalid front-matter line ${i + 2}: "${line.trim()}" (${error.message})`);
+      }
+    };
+
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(parse(item[1]));
+      return;
+    }
+
+    const pair = line.match(/^\s*([\w-]+(?: [\w-]+)*)\s*:\s*(.*?)\s*$/);
+    if (!pair) {
+      throw new Error(`Invalid front-matter line ${i + 2}: "${line.trim()}" (expected key: value)`);
+    }
+
+    if (pair[2] === '' || pair[2].startsWith('#')) {
+      data[pair[1]] = [];
+      listKey = pair[1];
+    } else {
+      data[pair[1]] = parse(pair[2]);
+      listKey = null;
+    }
+  });
+
+  return { data, body };
+}
+
+/**
+ * Fill {{NAME}} placeholders in a prompt template
+ * Unknown placeholders are an error, so a typo in a template can't reach the model.
+ * @param {string} template - Template text
+ * @param {Object} variables - Values by placeholder name
+ * @returns {string} Filled-in template
+ */
+export function renderTemplate(template, variables) {
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+    if (!(name in variables)) {
+      throw new Error(`Unknown template variable ${placeholder} (known: ${Object.keys(variables).join(', ')})`);
+    }
+    return String(variables[name]);
+  });
+}
+
+/**
+ * Split long text into overlapping chunks
+ * Chunks end at a paragraph break, sentence end or space where possible, and
+ * each one repeats the last `overlap` characters of the previous chunk so
+ * nothing said across a boundary is lost.
+ * @param {string} text - Text to split
+ * @param {number} size - Maximum chunk length in characters
+ * @param {number} overlap - Characters shared between neighbouring chunks
+ * @returns {string[]} Chunks in order
+ */
+export function chunkText(text, size, overlap = 0) {
+  if (overlap >= size) {
+    throw new Error('Chunk overlap must be smaller than the chunk size');
+  }
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + size, text.length);
+
+    if (end < text.length) {
+      // Prefer the last natural break in the second half of the chunk
+      const window = text.slice(start + Math.floor(size / 2), end);
+      const breaks = [/\n\s*\n(?![\s\S]*\n\s*\n)/, /[.!?]["')\]]?\s(?![\s\S]*[.!?]["')\]]?\s)/, /\s(?![\s\S]*\s)/];
+      for (const pattern of breaks) {
+        const match = window.match(pattern);
+        if (match) {
+          end = start + Math.floor(size / 2) + match.index + match[0].length;
+          break;
+        }
+      }
+    }
+
+    chunks.push(text.slice(start, end).trim());
+    if (end >= text.length) break;
+
+    // Start the next chunk on a word boundary inside the overlap
+    start = Math.max(end - overlap, start + 1);
+    const wordStart = text.slice(start, end).search(/\s\S/);
+    if (wordStart !== -1) start += wordStart + 1;
+  }
+
+  return chunks.filter(chunk => chunk.length > 0);
+}
+
+/**
+ * Hash transcript content so the same episode is recognized under any filename
+ * Line endings, trailing spaces and blank-line runs are normalized first, so a
+ * re-export from the recording tool hashes the same.
+ * @param {string} text - Transcript text
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashTranscript(text) {
+  const normalized = text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{2,}/g, '\n\n')
+    .trim();
+
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Sanitize article HTML
+ * Uses the site's allowlist sanitizer (js/sanitize-html.js), so generated
+ * content is cleaned exactly as article.html cleans it before rendering.
  * @param {string} html - HTML content
  * @returns {string} Sanitized HTML
  */
 export function sanitizeHtml(html) {
-  if (!html || typeof html !== 'string') {
-    return '';
-  }
+  return contentSanitizer.sanitizeHtml(html);
+}
 
-  // Remove dangerous tags (including content between them)
-  const dangerous = ['script', 'iframe', 'object', 'embed', 'form', 'style', 'link', 'meta', 'base'];
-  let sanitized = html;
+/**
+ * List the images in article HTML
+ * Reads the HTML with the sanitizer's tokenizer, so unquoted, entity-encoded
+ * and protocol-relative sources are found the way a browser finds them.
+ * @param {string} html - Article HTML
+ * @returns {Object[]} [{ urls, credited }] per <img>: its src and srcset URLs, and whether it
+ *   sits in a <figure> with a figure-credit caption
+ */
+export function listContentImages(html) {
+  const images = [];
+  let figure = null; // { images, credited } of the <figure> being read
 
-  dangerous.forEach(tag => {
-    const regex = new RegExp(`<\\s*${tag}[\\s\\S]*?<\\s*/\\s*${tag}\\s*>`, 'gi');
-    sanitized = sanitized.replace(regex, '');
-    const selfClosing = new RegExp(`<\\s*${tag}[^>]*/?>`, 'gi');
-    sanitized = sanitized.replace(selfClosing, '');
-  });
+  const closeFigure = () => {
+    if (figure) figure.images.forEach(image => { image.credited = figure.credited; });
+    figure = null;
+  };
 
-  // Remove event handlers (quoted, unquoted, and backtick-delimited)
-  sanitized = sanitized.replace(/\bon\w+\s*=\s*(?:"[^"]*"|'[^']*'|`[^`]*`|[^\s>]+)/gi, '');
+  contentSanitizer.tokenize(String(html || '')).forEach(token => {
+    if (token.type === 'end' && token.name === 'figure') {
+      closeFigure();
+    }
+    if (token.type !== 'start') return;
+
+    // Browsers use the first of repeated attributes, and ignore tabs and newlines in URLs
+    const attribute = name => {
+      const found = token.attributes.find(([attributeName]) => attributeName === name);
+      return found ? contentSanitizer.decodeEntities(found[1]).replace(/[\t\n\r]/g, '').trim() : '';
+    };
 
-  // Remove javascript: and data: URLs in href/src attributes
-  sanitized = sanitized.replace(/(href|src)\s*=\s*(?:"[^"]*(?:javascript|data)\s*:[^"]*"|'[^']*(?:javascript|data)\s*:[^']*')/gi, '');
+    if (token.name === 'figure') {
+      closeFigure();
+      figure = { images: [], credited: false };
+    } else if (figure && attribute('class').split(/\s+/).includes('figure-credit')) {
+      figure.credited = true;
+    }
 
-  return sanitized;
+    if (token.name === 'img') {
+      const srcset = attribute('srcset').split(',').map(candidate => candidate.trim().split(/\s+/)[0]);
+      const image = { urls: [attribute('src'), ...srcset].filter(Boolean), credited: false };
+      images.push(image);
+      if (figure) figure.images.push(image);
+    }
+  });
+  closeFigure();
+
+  return images;
+}
+
+/**
+ * Check whether an image URL points at another site
+ * Protocol-relative URLs ("//host/img.jpg", or with backslashes) count too.
+ * @param {string} url - Image URL
+ * @returns {boolean} True for anything that isn't a path on this site
+ */
+export function isRemoteUrl(url) {
+  return /^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(url) || /^[/\\]{2}/.test(url);
 }
 
 /**
@@ -179,6 +511,194 @@ export async function copyFile(source, destination) {
   }
 }
 
+/**
+ * Write a file atomically (temp file in the same folder, then rename)
+ * Readers never see a half-written file, even if the process dies mid-write.
+ * @param {string} filePath - Destination file path
+ * @param {string|Buffer} content - File content
+ */
+export async function writeFileAtomic(filePath, content) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+
+  try {
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Check whether a process is still running on this machine
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+export function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Create a lock file with its content in one step
+ * The content is written to a temp file that is then hard-linked into place,
+ * so the lock never exists empty or half-written, even if the process dies.
+ * @param {string} lockPath - Lock file path
+ * @param {string} content - Lock file content
+ * @returns {Promise<boolean>} True if the lock was created, false if it already exists
+ */
+async function createLockFile(lockPath, content) {
+  const tempPath = `${lockPath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(tempPath, content, 'utf8');
+
+  try {
+    await fs.link(tempPath, lockPath);
+    return true;
+  } catch (error) {
+    if (error.code === 'EEXIST') return false;
+    throw error;
+  } finally {
+    await fs.rm(tempPath, { force: true });
+  }
+}
+
+/**
+ * Remove a lock file, but only if it still has the expected content
+ * The lock is first renamed to a private path, which is atomic, and checked
+ * there: a lock another process took in the meantime is put back, not deleted.
+ * @param {string} lockPath - Lock file path
+ * @param {string} expected - Content of the lock to remove
+ * @returns {Promise<boolean>} True if that lock was removed
+ */
+async function removeLockFile(lockPath, expected) {
+  const claimedPath = `${lockPath}.${process.pid}.${crypto.randomUUID()}.removing`;
+
+  try {
+    await fs.rename(lockPath, claimedPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+
+  try {
+    if ((await fs.readFile(claimedPath, 'utf8')) === expected) {
+      return true;
+    }
+
+    try {
+      await fs.link(claimedPath, lockPath);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      logger.warn(`Lock ${path.basename(lockPath)} changed hands while being removed`);
+    }
+    return false;
+  } finally {
+    await fs.rm(claimedPath, { force: true });
+  }
+}
+
+/**
+ * Check whether an existing lock can be taken over
+ * A lock is stale when its holder is a dead process on this machine or it is
+ * older than staleMs. A lock file that can't be parsed (left empty by an
+ * older version, or edited by hand) is judged by its modification time.
+ * @param {string} lockPath - Lock file path
+ * @param {string} content - Lock file content
+ * @param {number} staleMs - Age after which the lock is stale
+ * @returns {Promise<{stale: boolean, holder: Object|null}>} Whether it is stale, and the parsed holder
+ */
+async function checkLockFile(lockPath, content, staleMs) {
+  let holder = null;
+  try {
+    holder = JSON.parse(content);
+  } catch {
+    // Judged by modification time below
+  }
+
+  if (holder && holder.acquiredAt) {
+    const stale = Date.now() - new Date(holder.acquiredAt).getTime() > staleMs ||
+      (holder.host === os.hostname() && !isProcessAlive(holder.pid));
+    return { stale, holder };
+  }
+
+  const { mtimeMs } = await fs.stat(lockPath);
+  return { stale: Date.now() - mtimeMs > staleMs, holder: null };
+}
+
+/**
+ * Run a function while holding a lock file
+ * The lock works across processes and is re-entrant within one call chain.
+ * Locks left behind by a dead process, or older than staleMs, are taken over.
+ * @param {string} lockPath - Lock file path
+ * @param {Function} fn - Async function to run under the lock
+ * @param {Object} options - Lock options
+ * @param {number} options.timeoutMs - How long to wait for the lock
+ * @param {number} options.staleMs - Age after which an existing lock is ignored
+ * @returns {Promise<any>} Result of fn
+ */
+export async function withFileLock(lockPath, fn, options = {}) {
+  const { timeoutMs = 10000, staleMs = 60000 } = options;
+  const held = heldLocks.getStore() || new Set();
+
+  if (held.has(lockPath)) {
+    return fn();
+  }
+
+  const deadline = Date.now() + timeoutMs;
+  let lockContent;
+
+  while (true) {
+    lockContent = JSON.stringify({
+      pid: process.pid,
+      host: os.hostname(),
+      acquiredAt: new Date().toISOString(),
+      token: crypto.randomUUID()
+    });
+    if (await createLockFile(lockPath, lockContent)) break;
+
+    let existing;
+    let check;
+    try {
+      existing = await fs.readFile(lockPath, 'utf8');
+      check = await checkLockFile(lockPath, existing, staleMs);
+    } catch (error) {
+      if (error.code === 'ENOENT') continue; // Released in the meantime
+      throw error;
+    }
+    const { stale, holder } = check;
+
+    if (stale) {
+      const owner = holder ? `pid ${holder.pid}, ${holder.acquiredAt}` : 'unreadable';
+      if (await removeLockFile(lockPath, existing)) {
+        logger.warn(`Removed stale lock ${path.basename(lockPath)} (${owner})`);
+      }
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      const owner = holder ? ` (held by pid ${holder.pid} since ${holder.acquiredAt})` : '';
+      throw new Error(`Timed out waiting for lock ${path.basename(lockPath)}${owner}`);
+    }
+
+    await sleep(100);
+  }
+
+  try {
+    return await heldLocks.run(new Set([...held, lockPath]), fn);
+  } finally {
+    if (!(await removeLockFile(lockPath, lockContent))) {
+      logger.warn(`Lock ${path.basename(lockPath)} was taken over as stale before it was released`);
+    }
+  }
+}
+
 /**
  * Check if file exists
  * @param {string} filePath - Path to file
@@ -248,17 +768,89 @@ export async function retryWithBackoff(fn, options = {}) {
   throw lastError;
 }
 
+/**
+ * Build a line-based diff between two texts (unified-style, with context)
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @param {number} context - Unchanged lines to show around each change
+ * @returns {string} Diff output ('' if the texts are identical)
+ */
+export function diffLines(oldText, newText, context = 2) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // Longest common subsequence table (suffix lengths)
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  // Walk the table to produce an edit script
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i], oldLine: i + 1 });
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      ops.push({ type: '+', line: b[j], oldLine: i });
+      j++;
+    } else {
+      ops.push({ type: '-', line: a[i], oldLine: i + 1 });
+      i++;
+    }
+  }
+
+  // Keep only changed lines plus surrounding context
+  const keep = new Array(ops.length).fill(false);
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length - 1, index + context);
+    for (let k = start; k <= end; k++) keep[k] = true;
+  });
+
+  const output = [];
+  let inHunk = false;
+  ops.forEach((op, index) => {
+    if (!keep[index]) {
+      inHunk = false;
+      return;
+    }
+    if (!inHunk) {
+      output.push(`@@ line ${Math.max(op.oldLine, 1)} @@`);
+      inHunk = true;
+    }
+    output.push(`${op.type} ${op.line}`);
+  });
+
+  return output.join('\n');
+}
+
 export default {
   logger,
   generateSlug,
   generateId,
   getCurrentDate,
+  parsePublishAt,
   validateTranscript,
+  parseFrontMatter,
+  renderTemplate,
+  chunkText,
+  hashTranscript,
   sanitizeHtml,
   moveFile,
   copyFile,
+  writeFileAtomic,
+  isProcessAlive,
+  withFileLock,
   fileExists,
   getTimestamp,
   sleep,
-  retryWithBackoff
+  retryWithBackoff,
+  diffLines
 };
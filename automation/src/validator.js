@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+
+/**
+ * Simply Nerdy - Data Validator
+ * Checks data/articles.json, data/suggestions.json and data/image-library.json before deploy
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger, fileExists, renderTemplate, listContentImages } from './utils.js';
+import { validateArticleStructure, isValidImageCredit } from './articles-manager.js';
+import { resolvePromptFormat, buildPromptVariables } from './claude-api.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+let settings = null;
+
+/**
+ * Load settings from config file
+ * @returns {Promise<Object>} Settings object
+ */
+async function loadSettings() {
+  if (settings) return settings;
+
+  const settingsPath = path.resolve(__dirname, '../config/settings.json');
+  const content = await fs.readFile(settingsPath, 'utf8');
+  settings = JSON.parse(content);
+  return settings;
+}
+
+/**
+ * Read and parse a JSON data file
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<Object>} Parsed data
+ */
+async function readJson(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${path.basename(filePath)} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve a site-relative path (e.g. "/images/articles/x.jpg") to disk
+ * @param {string} sitePath - Path starting with /
+ * @returns {Promise<string>} Absolute path
+ */
+async function resolveSitePath(sitePath) {
+  const config = await loadSettings();
+  return path.resolve(__dirname, '..', config.siteRoot, `.${sitePath}`);
+}
+
+/**
+ * Check that a local image exists under /images/articles
+ * @param {string} image - Image path or URL
+ * @returns {Promise<string|null>} Error message, or null if fine
+ */
+async function checkLocalImage(image) {
+  if (typeof image !== 'string' || !image.startsWith('/images/articles/')) {
+    return null;
+  }
+
+  const imagePath = await resolveSitePath(image);
+  return (await fileExists(imagePath)) ? null : `Image not found: ${image}`;
+}
+
+/**
+ * Load the icon names defined in js/platform-icons.js
+ * @returns {Promise<Set<string>>} Known icon names
+ */
+export async function loadPlatformIconNames() {
+  const config = await loadSettings();
+  const iconsPath = path.resolve(__dirname, '..', config.platformIconsPath);
+  const source = await fs.readFile(iconsPath, 'utf8');
+
+  const names = new Set();
+  const keyPattern = /^\s*'?([\w-]+)'?\s*:\s*'<svg/gm;
+  let match;
+  while ((match = keyPattern.exec(source)) !== null) {
+    names.add(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Validate every post in an articles.json object
+ * @param {Object} data - Parsed articles.json
+ * @returns {Promise<Object[]>} Report entries [{ id, errors }]
+ */
+export async function validateArticlesData(data) {
+  if (!data || !Array.isArray(data.posts)) {
+    return [{ id: '(file)', errors: ['Missing "posts" array'] }];
+  }
+
+  const seenIds = new Map();
+  const seenSlugs = new Map();
+  const report = [];
+
+  for (const [index, post] of data.posts.entries()) {
+    const id = post.id || `#${index + 1}`;
+    const { errors } = await validateArticleStructure(post);
+
+    if (post.id) {
+      if (seenIds.has(post.id)) {
+        errors.push(`Duplicate ID (also used by post #${seenIds.get(post.id) + 1})`);
+      } else {
+        seenIds.set(post.id, index);
+      }
+    }
+
+    if (post.slug) {
+      if (seenSlugs.has(post.slug)) {
+        errors.push(`Duplicate slug "${post.slug}" (also used by ${seenSlugs.get(post.slug)})`);
+      } else {
+        seenSlugs.set(post.slug, id);
+      }
+    }
+
+    const imageError = await checkLocalImage(post.image);
+    if (imageError) errors.push(imageError);
+
+    for (const size of Array.isArray(post.imageSizes) ? post.imageSizes : []) {
+      if (await checkLocalImage(size.src)) errors.push(`Image size not found: ${size.src}`);
+    }
+
+    // Images embedded in the article body
+    const inlineImages = new Set(listContentImages(post.content).flatMap(image => image.urls));
+    for (const src of inlineImages) {
+      const inlineError = await checkLocalImage(src);
+      if (inlineError) errors.push(`Content ${inlineError.charAt(0).toLowerCase()}${inlineError.slice(1)}`);
+    }
+
+    report.push({ id, errors });
+  }
+
+  return report;
+}
+
+/**
+ * Validate every entry in a suggestions.json object
+ * @param {Object} data - Parsed suggestions.json
+ * @returns {Promise<Object[]>} Report entries [{ id, errors }]
+ */
+export async function validateSuggestionsData(data) {
+  if (!data || !Array.isArray(data.suggestions)) {
+    return [{ id: '(file)', errors: ['Missing "suggestions" array'] }];
+  }
+
+  const config = await loadSettings();
+  const knownIcons = await loadPlatformIconNames();
+  const seenIds = new Set();
+  const report = [];
+
+  for (const [index, suggestion] of data.suggestions.entries()) {
+    const id = suggestion.id || `#${index + 1}`;
+    const errors = [];
+
+    ['id', 'title', 'category', 'genre', 'excerpt', 'image'].forEach(field => {
+      if (!suggestion[field] || typeof suggestion[field] !== 'string' || !suggestion[field].trim()) {
+        errors.push(`Missing required field: ${field}`);
+      }
+    });
+
+    if (suggestion.id) {
+      if (seenIds.has(suggestion.id)) {
+        errors.push('Duplicate ID');
+      }
+      seenIds.add(suggestion.id);
+    }
+
+    if (suggestion.category && !config.categories.includes(suggestion.category)) {
+      errors.push(`Category must be one of: ${config.categories.join(', ')}`);
+    }
+
+    if (!Array.isArray(suggestion.platforms)) {
+      errors.push('Platforms must be an array');
+    } else {
+      suggestion.platforms.forEach((platform, i) => {
+        const label = platform.name || `#${i + 1}`;
+        if (!platform.name || !platform.url) {
+          errors.push(`Platform ${label} needs a name and url`);
+        }
+        if (!knownIcons.has(platform.icon)) {
+          errors.push(`Platform ${label} has unknown icon "${platform.icon}"`);
+        }
+      });
+    }
+
+    const imageError = await checkLocalImage(suggestion.image);
+    if (imageError) errors.push(imageError);
+
+    report.push({ id, errors });
+  }
+
+  return report;
+}
+
+/**
+ * Validate every image in an image-library.json object
+ * @param {Object} data - Parsed image-library.json
+ * @returns {Promise<Object[]>} Report entries [{ id, errors }]
+ */
+export async function validateImageLibraryData(data) {
+  if (!data || !Array.isArray(data.images)) {
+    return [{ id: '(file)', errors: ['Missing "images" array'] }];
+  }
+
+  const config = await loadSettings();
+  const seenFiles = new Set();
+  const report = [];
+
+  for (const [index, image] of data.images.entries()) {
+    const id = image.file || `#${index + 1}`;
+    const errors = [];
+
+    if (typeof image.file !== 'string' || !image.file.startsWith('/images/articles/')) {
+      errors.push('File must be a path under /images/articles/');
+    } else {
+      if (seenFiles.has(image.file)) {
+        errors.push('Duplicate file');
+      }
+      seenFiles.add(image.file);
+
+      const imageError = await checkLocalImage(image.file);
+      if (imageError) errors.push(imageError);
+    }
+
+    if (!Array.isArray(image.tags) || image.tags.length === 0 ||
+        image.tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+      errors.push('Tags must be a non-empty array of strings');
+    }
+
+    if (typeof image.alt !== 'string' || !image.alt.trim()) {
+      errors.push('Missing alt text');
+    }
+
+    if ('category' in image && !config.categories.includes(image.category)) {
+      errors.push(`Category must be one of: ${config.categories.join(', ')}`);
+    }
+
+    if ('credit' in image && !isValidImageCredit(image.credit)) {
+      errors.push('Credit must have an author, sourceUrl and license (links must start with http)');
+    }
+
+    report.push({ id, errors });
+  }
+
+  return report;
+}
+
+/**
+ * Validate the prompt template of every show format in settings.promptTemplates
+ * Templates must insert the transcript and take the category list from
+ * settings through {{CATEGORIES}}, and may only use known variables.
+ * @returns {Promise<Object[]>} Report entries [{ id, errors }]
+ */
+export async function validatePromptTemplates() {
+  const config = await loadSettings();
+  const variables = await buildPromptVariables('');
+  const report = [];
+
+  for (const format of Object.keys(config.promptTemplates)) {
+    const errors = [];
+    const { templatePath } = await resolvePromptFormat(format);
+
+    if (!(await fileExists(templatePath))) {
+      errors.push(`Template not found: templates/${config.promptTemplates[format]}`);
+    } else {
+      const template = await fs.readFile(templatePath, 'utf8');
+      ['TRANSCRIPT', 'CATEGORIES'].forEach(name => {
+        if (!template.includes(`{{${name}}}`)) {
+          errors.push(`Missing {{${name}}} placeholder`);
+        }
+      });
+      try {
+        renderTemplate(template, variables);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    report.push({ id: format, errors });
+  }
+
+  if (!config.promptTemplates[config.defaultFormat]) {
+    report.push({ id: '(settings)', errors: [`defaultFormat "${config.defaultFormat}" is not in promptTemplates`] });
+  }
+
+  return report;
+}
+
+/**
+ * Print a per-entry report
+ * @param {string} label - File label
+ * @param {Object[]} report - Report entries [{ id, errors }]
+ * @returns {number} Number of errors found
+ */
+function printReport(label, report) {
+  const failing = report.filter(entry => entry.errors.length > 0);
+  const errorCount = failing.reduce((sum, entry) => sum + entry.errors.length, 0);
+
+  console.log(`\n${label}`);
+  failing.forEach(entry => {
+    console.log(`  ✗ [${entry.id}]`);
+    entry.errors.forEach(error => console.log(`      - ${error}`));
+  });
+  console.log(`  ${report.length - failing.length}/${report.length} entries valid`);
+
+  return errorCount;
+}
+
+/**
+ * Validate the data files and prompt templates and print the report
+ * @returns {Promise<number>} Total number of errors
+ */
+export async function validateAll() {
+  const config = await loadSettings();
+  const files = [
+    { label: 'articles.json', path: config.articlesJsonPath, validate: validateArticlesData },
+    { label: 'suggestions.json', path: config.suggestionsJsonPath, validate: validateSuggestionsData },
+    { label: 'image-library.json', path: config.imageLibraryPath, validate: validateImageLibraryData }
+  ];
+
+  let total = 0;
+  for (const file of files) {
+    let report;
+    try {
+      const data = await readJson(path.resolve(__dirname, '..', file.path));
+      report = await file.validate(data);
+    } catch (error) {
+      report = [{ id: '(file)', errors: [error.message] }];
+    }
+    total += printReport(file.label, report);
+  }
+
+  total += printReport('prompt templates', await validatePromptTemplates());
+
+  console.log(total === 0 ? '\n✅ All data files valid\n' : `\n❌ ${total} error(s) found\n`);
+  return total;
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  try {
+    const errorCount = await validateAll();
+    process.exit(errorCount === 0 ? 0 : 1);
+  } catch (error) {
+    logger.error(`Validation failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if this is the main module
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default {
+  loadPlatformIconNames,
+  validateArticlesData,
+  validateSuggestionsData,
+  validateImageLibraryData,
+  validatePromptTemplates,
+  validateAll
+};
@@ -0,0 +1,118 @@
+/**
+ * Simply Nerdy - Caption File Tests
+ * SRT, WebVTT and SBV parsing, sound cues and speaker changes in src/captions.js
+ *
+ * Run with: npm run test:unit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseTimestamp,
+  formatTimestamp,
+  parseCaptions,
+  isSoundCue,
+  captionsToTranscript
+} from '../src/captions.js';
+
+/**
+ * Build an SRT file from [start, end, text] cues
+ * @param {Array[]} cues - Cues with times in seconds
+ * @returns {string} SRT content
+ */
+function srt(cues) {
+  const time = seconds => `00:00:${String(Math.floor(seconds)).padStart(2, '0')},${String(Math.round((seconds % 1) * 1000)).padStart(3, '0')}`;
+  return cues.map(([start, end, text], i) => `${i + 1}\n${time(start)} --> ${time(end)}\n${text}\n`).join('\n');
+}
+
+test('parses and formats timestamps', () => {
+  assert.equal(parseTimestamp('00:01:02,500'), 62.5);
+  assert.equal(parseTimestamp('01:02.250'), 62.25);
+  assert.equal(parseTimestamp('1:00:03.000'), 3603);
+  assert.equal(parseTimestamp('12:34'), 754);
+  assert.equal(formatTimestamp(62.9), '01:02');
+  assert.equal(formatTimestamp(3723), '1:02:03');
+});
+
+test('reads SRT, WebVTT and SBV cues', () => {
+  const vtt = 'WEBVTT\n\nNOTE made by hand\n\nintro\n00:01.000 --> 00:02.000 align:start\n<v Alex>Hello <i>there</i>\n\n00:02.000 --> 00:03.000\nSecond &amp; last\n';
+  const sbv = '0:00:01.000,0:00:02.000\nFirst\n\n0:00:02.000,0:00:03.000\nSecond\n';
+
+  assert.deepEqual(parseCaptions(vtt).map(cue => cue.lines.map(line => line.text)), [['Hello there'], ['Second & last']]);
+  assert.equal(parseCaptions(vtt)[0].lines[0].speaker, 'Alex');
+  assert.deepEqual(parseCaptions(sbv).map(cue => cue.start), [1, 2]);
+  assert.deepEqual(parseCaptions(srt([[1, 2, 'One'], [2, 3, 'Two']])).map(cue => cue.lines[0].text), ['One', 'Two']);
+});
+
+test('tells sound cues from names', () => {
+  ['Music', 'MUSIC', 'upbeat music playing', 'laughs', 'Applause', 'inaudible', ' __ ', ''].forEach(note => {
+    assert.equal(isSoundCue(note), true, note);
+  });
+  ['Steven', 'HOST 2', 'Guest', 'Banjo-Tooie', 'in 1998'].forEach(note => {
+    assert.equal(isSoundCue(note), false, note);
+  });
+});
+
+test('drops sound cues but keeps other bracketed text', () => {
+  const { text } = captionsToTranscript(srt([
+    [1, 2, '[Music] Welcome back (laughs) to the show ♪'],
+    [2.2, 3, 'It came out [ __ ] in 2000 (in Europe) [Applause]']
+  ]));
+
+  assert.equal(text, '[00:01] Welcome back to the show It came out in 2000 (in Europe)');
+});
+
+test('keeps bracketed speaker labels and starts a paragraph for each speaker', () => {
+  const { text } = captionsToTranscript(srt([
+    [1, 3, '[Steven] Welcome back'],
+    [3.5, 5, '[Guest] Thanks for having me'],
+    [5.2, 6, 'It is great to be here']
+  ]));
+
+  assert.equal(text, '[00:01] Steven: Welcome back\n\n[00:03] Guest: Thanks for having me It is great to be here');
+});
+
+test('keeps "Name:" labels at the start of a cue', () => {
+  const { text } = captionsToTranscript(srt([
+    [1, 2, 'Steven: So what did you think?'],
+    [2.1, 3, 'Alex: Loved it.'],
+    [3.1, 4, 'Steven: Same here.']
+  ]));
+
+  assert.equal(text, '[00:01] Steven: So what did you think?\n\n[00:02] Alex: Loved it.\n\n[00:03] Steven: Same here.');
+});
+
+test('does not take a sound cue for a speaker label', () => {
+  const { text } = captionsToTranscript(srt([[1, 2, 'Steven: Hi'], [2.1, 3, '[Laughter] Anyway']]));
+  assert.equal(text, '[00:01] Steven: Hi Anyway');
+});
+
+test('starts a paragraph at ">>" and forgets the previous name', () => {
+  const { text } = captionsToTranscript(srt([
+    [1, 2, '[Steven] First point'],
+    [2.1, 3, '>> I disagree'],
+    [3.1, 4, 'completely']
+  ]));
+
+  assert.equal(text, '[00:01] Steven: First point\n\n[00:02] I disagree completely');
+});
+
+test('starts a paragraph at a pause and keeps the speaker', () => {
+  const { text, paragraphCount } = captionsToTranscript(srt([[1, 2, '[Steven] Before'], [10, 11, 'After']]));
+  assert.equal(paragraphCount, 2);
+  assert.equal(text, '[00:01] Steven: Before\n\n[00:10] Steven: After');
+});
+
+test('keeps lines repeated by rolling auto-captions once', () => {
+  const { text } = captionsToTranscript(srt([
+    [1, 2, 'so the first level'],
+    [2, 3, 'so the first level\nis the best one'],
+    [3, 4, 'is the best one\nin the game']
+  ]));
+
+  assert.equal(text, '[00:01] so the first level is the best one in the game');
+});
+
+test('fails on a file without cues', () => {
+  assert.throws(() => captionsToTranscript('just some text\n'), /No caption cues found/);
+});
@@ -0,0 +1,54 @@
+/**
+ * Simply Nerdy - Chunking Tests
+ * Splitting long transcripts into overlapping parts with chunkText (src/utils.js)
+ *
+ * Run with: npm run test:unit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText } from '../src/utils.js';
+
+const words = count => Array.from({ length: count }, (_, i) => `word${i}`).join(' ');
+
+test('keeps text that fits in one chunk whole', () => {
+  assert.deepEqual(chunkText('  Short text.  ', 100, 10), ['Short text.']);
+  assert.deepEqual(chunkText('', 100), []);
+});
+
+test('breaks at a paragraph break before a sentence end', () => {
+  const text = `${'a'.repeat(60)}. Next one.\n\nSecond paragraph goes on for a while here.`;
+  const chunks = chunkText(text, 90);
+
+  assert.equal(chunks[0], `${'a'.repeat(60)}. Next one.`);
+  assert.equal(chunks[1], 'Second paragraph goes on for a while here.');
+});
+
+test('breaks at the last sentence end when there is no paragraph break', () => {
+  const chunks = chunkText('First sentence is here. Second one is too. And a third that runs past the end', 50);
+  assert.equal(chunks[0], 'First sentence is here. Second one is too.');
+});
+
+test('breaks at a space, or mid-word when there is none', () => {
+  assert.deepEqual(chunkText('alpha beta gamma delta epsilon', 14), ['alpha beta', 'gamma delta', 'epsilon']);
+  assert.deepEqual(chunkText('x'.repeat(25), 10), ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+});
+
+test('repeats the end of each chunk at the start of the next', () => {
+  const text = words(200);
+  const chunks = chunkText(text, 300, 60);
+
+  chunks.forEach(chunk => assert.ok(chunk.length <= 300, `chunk of ${chunk.length} characters`));
+  chunks.slice(1).forEach((chunk, i) => {
+    // The next chunk starts on a whole word from the previous chunk's last 60 characters
+    const firstWord = chunk.split(' ')[0];
+    assert.ok(chunks[i].slice(-60 - firstWord.length).split(' ').includes(firstWord), `chunk ${i + 1} starts with "${firstWord}"`);
+  });
+
+  assert.equal(new Set(chunks.flatMap(chunk => chunk.split(' '))).size, 200);
+  assert.equal(chunks[chunks.length - 1].endsWith('word199'), true);
+});
+
+test('fails when the overlap is not smaller than the chunk size', () => {
+  assert.throws(() => chunkText('text', 10, 10), /overlap must be smaller/);
+});
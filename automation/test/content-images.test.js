@@ -0,0 +1,69 @@
+/**
+ * Simply Nerdy - Content Image Tests
+ * Finding inline images (src/utils.js) and the credit and existence checks
+ * built on it in src/articles-manager.js and src/validator.js
+ *
+ * Run with: npm run test:unit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { listContentImages, isRemoteUrl } from '../src/utils.js';
+import { validateArticleStructure } from '../src/articles-manager.js';
+import { validateArticlesData } from '../src/validator.js';
+
+const credit = '<figcaption>Caption <span class="figure-credit">Photo by X on Unsplash</span></figcaption>';
+
+const article = content => ({
+  id: '900',
+  title: 'Test Article',
+  slug: 'test-article',
+  date: '2026-10-19',
+  category: 'Games',
+  excerpt: 'An article used by the content image tests, valid apart from its images.',
+  content: `<p>${'Filler text so the content is long enough to pass validation. '.repeat(2)}</p>${content}`,
+  tags: ['test', 'images', 'credits'],
+  author: 'Simply Nerdy',
+  image: '/images/articles/defaults/games.svg'
+});
+
+test('finds quoted, unquoted, encoded and srcset image sources', () => {
+  const images = listContentImages([
+    '<p><img src=//cdn.example.com/a.jpg alt=x></p>',
+    '<img alt="y" src=\'/images/articles/b.jpg\' srcset="/images/articles/b-400.jpg 400w, https://example.com/b.jpg 800w">',
+    '<IMG SRC="&#104;ttps://example.com/c.jpg" src="/ignored.jpg">',
+    `<figure><img src="https://example.com/d.jpg">${credit}</figure>`,
+    '<figure><img src="https://example.com/e.jpg"><figcaption>No credit</figcaption></figure>'
+  ].join(''));
+
+  assert.deepEqual(images, [
+    { urls: ['//cdn.example.com/a.jpg'], credited: false },
+    { urls: ['/images/articles/b.jpg', '/images/articles/b-400.jpg', 'https://example.com/b.jpg'], credited: false },
+    { urls: ['https://example.com/c.jpg'], credited: false },
+    { urls: ['https://example.com/d.jpg'], credited: true },
+    { urls: ['https://example.com/e.jpg'], credited: false }
+  ]);
+});
+
+test('treats scheme and protocol-relative URLs as remote', () => {
+  assert.equal(isRemoteUrl('https://example.com/a.jpg'), true);
+  assert.equal(isRemoteUrl('//example.com/a.jpg'), true);
+  assert.equal(isRemoteUrl('/\\example.com/a.jpg'), true);
+  assert.equal(isRemoteUrl('/images/articles/a.jpg'), false);
+});
+
+test('rejects uncredited protocol-relative and unquoted remote images', async () => {
+  for (const content of ['<p><img src="//cdn.example.com/a.jpg" alt="x"></p>', '<p><img src=https://example.com/a.jpg alt=x></p>']) {
+    const { valid, errors } = await validateArticleStructure(article(content));
+    assert.equal(valid, false, content);
+    assert.match(errors.join('\n'), /Content image from another site needs a <figure> with a figure-credit caption/);
+  }
+
+  const credited = await validateArticleStructure(article(`<figure><img src=//cdn.example.com/a.jpg alt=x>${credit}</figure>`));
+  assert.deepEqual(credited.errors, []);
+});
+
+test('checks that unquoted local content images exist', async () => {
+  const [entry] = await validateArticlesData({ posts: [article('<p><img src=/images/articles/missing-image.jpg alt=x></p>')] });
+  assert.deepEqual(entry.errors, ['Content image not found: /images/articles/missing-image.jpg']);
+});
@@ -0,0 +1,100 @@
+/**
+ * Simply Nerdy - File Lock Tests
+ * Stale, empty and contended lock files in withFileLock (src/utils.js)
+ *
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { withFileLock } from '../src/utils.js';
+
+/**
+ * Run a test body with a fresh temp folder, removed afterwards
+ * @param {Function} body - async (folder) => void
+ * @returns {Function} Test function
+ */
+function inTempFolder(body) {
+  return async () => {
+    const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'simply-nerdy-lock-'));
+    try {
+      await body(folder);
+    } finally {
+      await fs.rm(folder, { recursive: true, force: true });
+    }
+  };
+}
+
+test('runs the function under the lock and removes it afterwards', inTempFolder(async folder => {
+  const lockPath = path.join(folder, 'data.lock');
+  const result = await withFileLock(lockPath, async () => {
+    const holder = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+    assert.equal(holder.pid, process.pid);
+    return 'done';
+  });
+
+  assert.equal(result, 'done');
+  assert.deepEqual(await fs.readdir(folder), []);
+}));
+
+test('is re-entrant within one call chain', inTempFolder(async folder => {
+  const lockPath = path.join(folder, 'data.lock');
+  const result = await withFileLock(lockPath, () => withFileLock(lockPath, async () => 'inner', { timeoutMs: 200 }));
+  assert.equal(result, 'inner');
+}));
+
+test('serializes concurrent callers', inTempFolder(async folder => {
+  const lockPath = path.join(folder, 'data.lock');
+  const order = [];
+  const task = name => withFileLock(lockPath, async () => {
+    order.push(`${name} start`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    order.push(`${name} end`);
+  });
+
+  await Promise.all([task('a'), task('b')]);
+  assert.deepEqual(order.map(step => step.split(' ')[1]), ['start', 'end', 'start', 'end']);
+}));
+
+test('times out on a lock held by a live process', inTempFolder(async folder => {
+  const lockPath = path.join(folder, 'data.lock');
+  await fs.writeFile(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname(), acquiredAt: new Date().toISOString() }));
+
+  await assert.rejects(withFileLock(lockPath, async () => {}, { timeoutMs: 300 }), /Timed out waiting for lock data\.lock/);
+}));
+
+test('takes over a lock left by a dead process', inTempFolder(async folder => {
+  const lockPath = path.join(folder, 'data.lock');
+  await fs.writeFile(lockPath, JSON.stringify({ pid: 2147483646, host: os.hostname(), acquiredAt: new Date().toISOString() }));
+
+  assert.equal(await withFileLock(lockPath, async () => 'ran', { timeoutMs: 300 }), 'ran');
+}));
+
+test('takes over an empty lock file once it is older than staleMs', inTempFolder(async folder => {
+  const lockPath = path.join(folder, 'data.lock');
+  await fs.writeFile(lockPath, '');
+
+  await assert.rejects(withFileLock(lockPath, async () => {}, { timeoutMs: 300, staleMs: 60000 }), /Timed out/);
+
+  const old = new Date(Date.now() - 120000);
+  await fs.utimes(lockPath, old, old);
+  assert.equal(await withFileLock(lockPath, async () => 'ran', { timeoutMs: 300, staleMs: 60000 }), 'ran');
+  assert.deepEqual(await fs.readdir(folder), []);
+}));
+
+test('leaves a lock that another process took over in place', inTempFolder(async folder => {
+  const lockPath = path.join(folder, 'data.lock');
+  const other = JSON.stringify({ pid: process.pid, host: os.hostname(), acquiredAt: new Date().toISOString(), token: 'other' });
+
+  await withFileLock(lockPath, async () => {
+    // Simulate another process treating our lock as stale and taking it
+    await fs.rm(lockPath);
+    await fs.writeFile(lockPath, other);
+  });
+
+  assert.equal(await fs.readFile(lockPath, 'utf8'), other);
+  assert.deepEqual(await fs.readdir(folder), ['data.lock']);
+}));
@@ -0,0 +1,138 @@
+/**
+ * Simply Nerdy - Episode Front-Matter Tests
+ * parseFrontMatter (src/utils.js) and the episode metadata it becomes (src/episode-metadata.js)
+ *
+ * Run with: npm run test:unit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFrontMatter } from '../src/utils.js';
+import { normalizeEpisodeMetadata, applyEpisodeMetadata } from '../src/episode-metadata.js';
+
+test('reads simple YAML front-matter', () => {
+  const { data, body } = parseFrontMatter([
+    '---',
+    'episode: 12',
+    '# a comment',
+    'hosts:',
+    '  - Alex',
+    '  - Sam',
+    'tags: [fantasy-books, "discworld"]',
+    'Recording Date: 2026-10-01',
+    'live: false',
+    '---',
+    'Transcript starts here'
+  ].join('\n'));
+
+  assert.deepEqual(data, {
+    episode: 12,
+    hosts: ['Alex', 'Sam'],
+    tags: ['fantasy-books', 'discworld'],
+    'Recording Date': '2026-10-01',
+    live: false
+  });
+  assert.equal(body, 'Transcript starts here');
+});
+
+test('reads quoted list items, escapes and trailing comments', () => {
+  const { data } = parseFrontMatter([
+    '---',
+    'guests: ["Smith, Jr.", Sam, \'O\'\'Brien\']  # three guests',
+    'title: "Say \\"hi\\"\\tnow"',
+    'episode: 12 # the pilot',
+    'youtube: https://example.com/watch#t=30',
+    'hosts: # listed below',
+    '  - "Alex # not a comment"',
+    '  - Sam # a comment',
+    'empty: []',
+    '---',
+    'Transcript'
+  ].join('\n'));
+
+  assert.deepEqual(data, {
+    guests: ['Smith, Jr.', 'Sam', "O'Brien"],
+    title: 'Say "hi"\tnow',
+    episode: 12,
+    youtube: 'https://example.com/watch#t=30',
+    hosts: ['Alex # not a comment', 'Sam'],
+    empty: []
+  });
+});
+
+test('rejects YAML outside the supported subset', () => {
+  assert.throws(() => parseFrontMatter('---\nguests: [Alex, [Sam]]\n---\nx'), /Invalid front-matter line 2: .*unexpected "\[" in list/);
+  assert.throws(() => parseFrontMatter('---\nguests: [Alex, Sam\n---\nx'), /missing closing \]/);
+  assert.throws(() => parseFrontMatter('---\ntitle: "open\n---\nx'), /missing closing "/);
+  assert.throws(() => parseFrontMatter('---\ntitle: "a" b\n---\nx'), /unexpected "b" after the value/);
+  assert.throws(() => parseFrontMatter('---\nhosts: { a: 1 }\n---\nx'), /unsupported YAML/);
+  assert.throws(() => parseFrontMatter('---\nnotes: |\n---\nx'), /unsupported YAML/);
+});
+
+test('reads JSON front-matter and CRLF line ends', () => {
+  const { data, body } = parseFrontMatter('---\r\n{ "episode": 3, "guests": ["Jo"] }\r\n---\r\nHello');
+  assert.deepEqual(data, { episode: 3, guests: ['Jo'] });
+  assert.equal(body, 'Hello');
+});
+
+test('leaves a transcript without front-matter unchanged', () => {
+  const text = 'Hello there\n---\nnot: front-matter\n---\n';
+  assert.deepEqual(parseFrontMatter(text), { data: {}, body: text });
+});
+
+test('fails on invalid front-matter', () => {
+  assert.throws(() => parseFrontMatter('---\n{ "episode": }\n---\nx'), /Invalid JSON front-matter/);
+  assert.throws(() => parseFrontMatter('---\nepisode: 1\njust text\n---\nx'), /Invalid front-matter line 3/);
+});
+
+test('maps loosely named fields to episode metadata', async () => {
+  const metadata = await normalizeEpisodeMetadata({
+    Episode: '12',
+    host: 'Alex, Sam',
+    recorded: '2026-10-01',
+    category: 'books',
+    youtube: 'https://youtu.be/dQw4w9WgXcQ',
+    tags: ['Fantasy Books', 'discworld', 'fantasy-books'],
+    mood: 'great'
+  });
+
+  assert.deepEqual(metadata, {
+    episode: 12,
+    hosts: ['Alex', 'Sam'],
+    recordingDate: '2026-10-01',
+    category: 'Books',
+    videoId: 'dQw4w9WgXcQ',
+    tags: ['fantasy-books', 'discworld']
+  });
+});
+
+test('lists every invalid field', async () => {
+  await assert.rejects(
+    normalizeEpisodeMetadata({ episode: 'two', recordingDate: '01/10/2026', category: 'Podcasts' }),
+    error => /episode must be/.test(error.message) && /recordingDate must be/.test(error.message) && /category must be/.test(error.message)
+  );
+});
+
+test('puts front-matter tags first and keeps 5 tags at most', () => {
+  const article = applyEpisodeMetadata(
+    { category: 'Games', tags: ['discworld', 'pratchett', 'fantasy', 'humor', 'audiobooks'] },
+    { category: 'Books', tags: ['fantasy-books', 'discworld'] }
+  );
+
+  assert.equal(article.category, 'Books');
+  assert.deepEqual(article.tags, ['fantasy-books', 'discworld', 'pratchett', 'fantasy', 'humor']);
+
+  const many = applyEpisodeMetadata({ tags: ['a', 'b', 'c'] }, { tags: ['t1', 't2', 't3', 't4', 't5', 't6'] });
+  assert.deepEqual(many.tags, ['t1', 't2', 't3', 't4', 't5']);
+});
+
+test('keeps section timestamps only with a video', () => {
+  const content = '<h4>Intro</h4><p>a</p><h4>The <em>Verdict</em></h4><p>b</p>';
+  const sections = () => [{ heading: 'The Verdict', start: '12:34' }, { heading: 'Missing', start: '1:00' }, { heading: 'intro', start: '00:05' }];
+
+  assert.deepEqual(applyEpisodeMetadata({ content, tags: [], sections: sections() }, { videoId: 'dQw4w9WgXcQ' }).sections, [
+    { heading: 'Intro', start: 5 },
+    { heading: 'The Verdict', start: 754 }
+  ]);
+  assert.equal('sections' in applyEpisodeMetadata({ content, tags: [], sections: sections() }, {}), false);
+});
@@ -0,0 +1,129 @@
+/**
+ * Simply Nerdy - Job Queue Tests
+ * Claiming, resuming and failing jobs in src/job-queue.js
+ *
+ * Run with: npm run test:unit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { enqueue, listJobs, claimJob, runClaimedJob, startQueue } from '../src/job-queue.js';
+import { recordUsage } from '../src/usage-ledger.js';
+
+/**
+ * Run a test body with a fresh queue file (QUEUE_FILE) and usage ledger
+ * (USAGE_LEDGER_FILE, for the budget check), removed afterwards
+ * @param {Function} body - async (queuePath, ledgerPath) => void
+ * @returns {Function} Test function
+ */
+function withQueueFile(body) {
+  return async () => {
+    const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'simply-nerdy-queue-'));
+    process.env.QUEUE_FILE = path.join(folder, 'queue.json');
+    process.env.USAGE_LEDGER_FILE = path.join(folder, 'usage.jsonl');
+    try {
+      await body(process.env.QUEUE_FILE, process.env.USAGE_LEDGER_FILE);
+    } finally {
+      delete process.env.QUEUE_FILE;
+      delete process.env.USAGE_LEDGER_FILE;
+      await fs.rm(folder, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Wait until check() returns something truthy
+ * @param {Function} check - async () => any
+ * @param {number} [timeoutMs] - Give up after this long
+ * @returns {Promise<any>} What check returned
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const start = Date.now();
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('marks a job failed when its worker throws, and does not run it again', withQueueFile(async () => {
+  let calls = 0;
+  const queued = await enqueue('/tmp/episode-1.txt');
+
+  await startQueue(async () => {
+    calls++;
+    throw new Error('worker blew up');
+  });
+
+  const failed = await waitFor(async () => (await listJobs()).find(job => job.id === queued.id && job.state === 'failed'));
+  assert.equal(failed.error, 'worker blew up');
+  assert.equal(failed.failedStep, 'queued');
+  assert.equal('owner' in failed, false);
+
+  await pause(200);
+  assert.equal(calls, 1);
+}));
+
+test('leaves an unfinished job of this run alone once its worker returns', withQueueFile(async queuePath => {
+  // Written directly, since enqueue would hand the job to the worker registered above
+  await fs.writeFile(queuePath, JSON.stringify({
+    jobs: [{ id: 'job-1', file: '/tmp/a.txt', filename: 'a.txt', state: 'queued' }]
+  }));
+  const job = await claimJob('job-1');
+  assert.equal(job.id, 'job-1');
+
+  // The worker stops without finishing the job; the re-pump after it must not claim it again
+  await runClaimedJob(job, async () => null);
+  await pause(200);
+
+  assert.equal(await claimJob('job-1'), null);
+  assert.equal((await listJobs())[0].state, 'queued');
+}));
+
+test('resumes a job left by an earlier run, even one with the same PID', withQueueFile(async queuePath => {
+  const owner = { pid: process.pid, host: os.hostname(), run: 'earlier-run' };
+  await fs.writeFile(queuePath, JSON.stringify({
+    jobs: [
+      { id: 'job-1', file: '/tmp/a.txt', filename: 'a.txt', state: 'transforming', owner },
+      { id: 'job-2', file: '/tmp/b.txt', filename: 'b.txt', state: 'saving', owner: { ...owner, host: 'another-machine' } }
+    ]
+  }));
+
+  const job = await claimJob();
+  assert.equal(job.id, 'job-1');
+  assert.notEqual(job.owner.run, 'earlier-run');
+  assert.equal(await claimJob('job-2'), null);
+}));
+
+test('pauses at the monthly budget and leaves new jobs queued', withQueueFile(async () => {
+  const settings = JSON.parse(await fs.readFile(new URL('../config/settings.json', import.meta.url), 'utf8'));
+  const price = settings.modelPrices['claude-sonnet-4-5'];
+  await recordUsage({
+    provider: 'anthropic',
+    model: 'claude-sonnet-4-5',
+    purpose: 'article',
+    inputTokens: 0,
+    outputTokens: Math.ceil(settings.monthlyBudgetUsd / price.output * 1e6),
+    retries: 0,
+    latencyMs: 100
+  });
+
+  let calls = 0;
+  await startQueue(async () => {
+    calls++;
+  });
+  const queued = await enqueue('/tmp/episode-3.txt');
+  await pause(200);
+
+  assert.equal(calls, 0);
+  const [job] = await listJobs();
+  assert.equal(job.id, queued.id);
+  assert.equal(job.state, 'queued');
+  assert.equal('owner' in job, false);
+}));
@@ -0,0 +1,82 @@
+/**
+ * Simply Nerdy - OpenAI-Compatible Provider Tests
+ * Requests, responses and timeouts in src/providers/openai-compatible.js
+ *
+ * Run with: npm run test:unit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createOpenAICompatibleProvider } from '../src/providers/openai-compatible.js';
+
+/**
+ * Run a test body against a local server, closed afterwards
+ * @param {Function} handler - (request, response) => void
+ * @param {Function} body - async (baseUrl) => void
+ * @returns {Function} Test function
+ */
+function withServer(handler, body) {
+  return async () => {
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      await body(`http://127.0.0.1:${server.address().port}/v1`);
+    } finally {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+const provider = (baseUrl, requestTimeoutMs) => createOpenAICompatibleProvider({
+  requestTimeoutMs,
+  providers: { openai: { baseUrl, model: 'test-model' } }
+});
+
+test('converts a chat completion to the provider shape', withServer((request, response) => {
+  response.setHeader('content-type', 'application/json');
+  response.end(JSON.stringify({
+    model: 'test-model',
+    choices: [{ finish_reason: 'stop', message: { content: 'Hello' } }],
+    usage: { prompt_tokens: 12, completion_tokens: 3 }
+  }));
+}, async baseUrl => {
+  const message = await provider(baseUrl, 1000).createMessage({ messages: [{ role: 'user', content: 'Hi' }], maxTokens: 10 });
+
+  assert.deepEqual(message, {
+    content: [{ type: 'text', text: 'Hello' }],
+    stopReason: 'end_turn',
+    model: 'test-model',
+    usage: { inputTokens: 12, outputTokens: 3 }
+  });
+}));
+
+test('reports an error status with the response body', withServer((request, response) => {
+  response.statusCode = 503;
+  response.end('model is loading');
+}, async baseUrl => {
+  await assert.rejects(
+    provider(baseUrl, 1000).createMessage({ messages: [{ role: 'user', content: 'Hi' }], maxTokens: 10 }),
+    /returned 503: model is loading/
+  );
+}));
+
+test('fails clearly on a response without choices', withServer((request, response) => {
+  response.setHeader('content-type', 'application/json');
+  response.end(JSON.stringify({ error: { message: 'context length exceeded' } }));
+}, async baseUrl => {
+  await assert.rejects(
+    provider(baseUrl, 1000).createMessage({ messages: [{ role: 'user', content: 'Hi' }], maxTokens: 10 }),
+    /returned no choices: .*context length exceeded/
+  );
+}));
+
+test('gives up on a server that does not answer within requestTimeoutMs', withServer(() => {
+  // Never respond
+}, async baseUrl => {
+  await assert.rejects(
+    provider(baseUrl, 200).createMessage({ messages: [{ role: 'user', content: 'Hi' }], maxTokens: 10 }),
+    /did not respond within 200ms/
+  );
+}));
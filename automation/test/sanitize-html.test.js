@@ -0,0 +1,178 @@
+/**
+ * Simply Nerdy - HTML Sanitizer Tests
+ * Known XSS vectors against js/sanitize-html.js, plus the markup articles use
+ *
+ * Run with: npm run test:unit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import contentSanitizer from '../../js/sanitize-html.js';
+import { sanitizeHtml as automationSanitizeHtml } from '../src/utils.js';
+
+const { sanitizeHtml } = contentSanitizer;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Assert that sanitized HTML has nothing that can run script
+ * @param {string} html - Sanitized HTML
+ */
+function assertInert(html) {
+  const markup = html.replace(/"[^"]*"/g, '""');
+  const urls = [...html.matchAll(/\s(?:href|src|srcset)="([^"]*)"/g)].map(match => match[1]);
+
+  assert.doesNotMatch(markup, /<(?!\/?(?:p|br|h4|ul|ol|li|em|strong|a|img|figure|figcaption|span)[\s>])/i, `unexpected tag in ${html}`);
+  assert.doesNotMatch(markup, /\s(?:on[a-z]+|style|srcdoc|formaction|xlink:href|action)\s*=/i, `dangerous attribute in ${html}`);
+  urls.forEach(url => assert.doesNotMatch(url, /^\s*(?:javascript|vbscript|data):/i, `script URL in ${html}`));
+}
+
+const VECTORS = [
+  // Script and active content
+  ['<script>alert(1)</script>', ''],
+  ['<SCRIPT SRC=//evil.example/xss.js></SCRIPT>', ''],
+  ['<script>alert(1)', ''],
+  ['<scr<script>ipt>alert(1)</script>', 'ipt&gt;alert(1)'],
+  ['<style>@import "//evil.example/x.css";</style>', ''],
+  ['<iframe srcdoc="<script>alert(1)</script>"></iframe>', ''],
+  ['<iframe src="javascript:alert(1)"></iframe>', ''],
+  ['<object data="javascript:alert(1)"></object>', ''],
+  ['<embed src="javascript:alert(1)">', ''],
+  ['<base href="javascript:alert(1)//">', ''],
+  ['<meta http-equiv="refresh" content="0;url=javascript:alert(1)">', ''],
+  ['<link rel="stylesheet" href="javascript:alert(1)">', ''],
+  ['<form action="javascript:alert(1)"><button>Go</button></form>', 'Go'],
+  ['<template><img src=x onerror=alert(1)></template>', ''],
+  ['<textarea><img src=x onerror=alert(1)></textarea>', ''],
+  ['<plaintext><img src=x onerror=alert(1)>', ''],
+
+  // SVG and MathML
+  ['<svg onload=alert(1)>', ''],
+  ['<svg><script>alert(1)</script></svg>', ''],
+  ['<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>', ''],
+  ['<svg><animate onbegin=alert(1) attributeName=x dur=1s>', ''],
+  ['<svg/onload=alert(1)>', ''],
+  ['<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>', ''],
+  ['<math href="javascript:alert(1)">x</math>', ''],
+
+  // Event handlers
+  ['<img src=x onerror=alert(1)>', '<img src="x">'],
+  ['<img src=x onerror="alert(1)">', '<img src="x">'],
+  ['<img src=x ONERROR=alert(1)>', '<img src="x">'],
+  ['<img src=x onerror=`alert(1)`>', '<img src="x">'],
+  ['<img/src=x/onerror=alert(1)>', '<img src="x/onerror=alert(1)">'],
+  ['<img src="x"onerror="alert(1)">', '<img src="x">'],
+  ['<p onmouseover="alert(1)">Hover</p>', '<p>Hover</p>'],
+  ['<body onload=alert(1)>', ''],
+  ['<details open ontoggle=alert(1)>', ''],
+  ['<img src=x onerror=alert(1)', ''],
+
+  // javascript: and other schemes
+  ['<a href="javascript:alert(1)">x</a>', '<a>x</a>'],
+  ['<a href=javascript:alert(1)>x</a>', '<a>x</a>'],
+  ['<a href=\'javascript:alert(1)\'>x</a>', '<a>x</a>'],
+  ['<a href="JaVaScRiPt:alert(1)">x</a>', '<a>x</a>'],
+  ['<a href="  javascript:alert(1)">x</a>', '<a>x</a>'],
+  ['<a href="java\tscript:alert(1)">x</a>', '<a>x</a>'],
+  ['<a href="java\nscript:alert(1)">x</a>', '<a>x</a>'],
+  ['<a href="\x01javascript:alert(1)">x</a>', '<a>x</a>'],
+  ['<a href="java\x00script:alert(1)">x</a>', '<a>x</a>'],
+  ['<a href="vbscript:msgbox(1)">x</a>', '<a>x</a>'],
+  ['<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>', '<a>x</a>'],
+  ['<img src="data:image/svg+xml,<svg onload=alert(1)>">', ''],
+
+  // Entity-encoded schemes
+  ['<a href="&#106;avascript:alert(1)">x</a>', '<a>x</a>'],
+  ['<a href="&#106avascript:alert(1)">x</a>', '<a>x</a>'],
+  ['<a href="&#x6A;avascript:alert(1)">x</a>', '<a>x</a>'],
+  ['<a href="&#0000106&#0000097&#0000118&#0000097&#0000115&#0000099&#0000114&#0000105&#0000112&#0000116&#0000058alert(1)">x</a>', '<a>x</a>'],
+  ['<a href="javascript&colon;alert(1)">x</a>', '<a>x</a>'],
+  ['<a href="jav&Tab;ascript:alert(1)">x</a>', '<a>x</a>'],
+  ['<a href="jav&NewLine;ascript:alert(1)">x</a>', '<a>x</a>'],
+  ['<a href="&#x09;javascript:alert(1)">x</a>', '<a>x</a>'],
+  ['<img src="x" srcset="javascript:alert(1) 1x">', '<img src="x">'],
+  ['<img src="x" srcset="/a.jpg 400w, data:image/png;base64,AAAA 800w">', '<img src="x">'],
+
+  // Attribute breakouts and parser confusion
+  ['<p title="</p><img src=x onerror=alert(1)>">x</p>', '<p>x</p>'],
+  ['<img src=x alt="&quot; onerror=&quot;alert(1)">', '<img src="x" alt="&quot; onerror=&quot;alert(1)">'],
+  ['<img src=x alt=\'" onerror="alert(1)\'>', '<img src="x" alt="&quot; onerror=&quot;alert(1)">'],
+  ['<!--<img src=x onerror=alert(1)>-->', ''],
+  ['<!--> <img src=x onerror=alert(1)> -->', ' <img src="x"> --&gt;'],
+  ['<!-- --!><img src=x onerror=alert(1)>', '<img src="x">'],
+  ['<![CDATA[<img src=x onerror=alert(1)>]]>', ']]&gt;'],
+  ['<?xml version="1.0"?><img src=x onerror=alert(1)>', '<img src="x">'],
+  ['<noscript><p title="</noscript><img src=x onerror=alert(1)>">', '<img src="x">"&gt;'],
+  ['<a href="#" style="background:url(javascript:alert(1))">x</a>', '<a href="#">x</a>'],
+  ['<div style="background-image:url(javascript:alert(1))">text</div>', 'text'],
+  ['<a href="https://example.com" id="post-content" name="getElementById">x</a>', '<a href="https://example.com">x</a>'],
+  ['<< script>alert(1)<</script>', '&lt;&lt; script&gt;alert(1)&lt;']
+];
+
+VECTORS.forEach(([input, expected]) => {
+  test(`neutralizes ${JSON.stringify(input)}`, () => {
+    const output = sanitizeHtml(input);
+    assert.equal(output, expected);
+    assertInert(output);
+  });
+});
+
+test('keeps the markup of the content guidelines and figures', () => {
+  const html = '<p>It&rsquo;s <em>really</em> <strong>good</strong>.</p><h4>Worlds</h4><ul><li>One</li><li>Two</li></ul><ol><li>First</li></ol>' +
+    '<figure><img src="/images/articles/a-800.jpg" alt="A &amp; B" srcset="/images/articles/a-400.jpg 400w, /images/articles/a-800.jpg 800w" sizes="(max-width: 968px) 100vw, 800px">' +
+    '<figcaption>Caption <span class="figure-credit">Photo by <a href="https://unsplash.com/@x" target="_blank" rel="noopener noreferrer">X</a> on Unsplash</span></figcaption></figure><p>Line<br>break</p>';
+
+  assert.equal(sanitizeHtml(html), html);
+});
+
+test('re-quotes attributes and escapes stray characters', () => {
+  assert.equal(sanitizeHtml("<img src='/images/articles/a.jpg' alt='Banjo'>"), '<img src="/images/articles/a.jpg" alt="Banjo">');
+  assert.equal(sanitizeHtml('<p>Rock & roll < 3 > 2 &amp; &hellip;</p>'), '<p>Rock &amp; roll &lt; 3 &gt; 2 &amp; &hellip;</p>');
+  assert.equal(sanitizeHtml('<a href="/search?a=1&amp;b=2">x</a>'), '<a href="/search?a=1&amp;b=2">x</a>');
+});
+
+test('drops tags and attributes outside the allowlist but keeps their text', () => {
+  assert.equal(sanitizeHtml('<h1 class="big">Title</h1><div><b>Bold</b></div>'), 'TitleBold');
+  assert.equal(sanitizeHtml('<span class="figure-credit evil">x</span><span class="evil">y</span>'), '<span class="figure-credit">x</span><span>y</span>');
+  assert.equal(sanitizeHtml('<img alt="no source">'), '');
+  assert.equal(sanitizeHtml('<a href="https://example.com" target="_top">x</a>'), '<a href="https://example.com">x</a>');
+  assert.equal(sanitizeHtml('<a href="https://example.com" target="_blank">x</a>'), '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>');
+  assert.equal(sanitizeHtml('<a href="mailto:hello@example.com" href="javascript:alert(1)">x</a>'), '<a href="mailto:hello@example.com">x</a>');
+  assert.equal(sanitizeHtml('<a href="javascript:alert(1)" href="https://example.com">x</a>'), '<a>x</a>');
+});
+
+test('balances tags', () => {
+  assert.equal(sanitizeHtml('<p><em>open'), '<p><em>open</em></p>');
+  assert.equal(sanitizeHtml('</p>stray</li><p>x</p>'), 'stray<p>x</p>');
+  assert.equal(sanitizeHtml('<ul><li><strong>a</ul>b'), '<ul><li><strong>a</strong></li></ul>b');
+});
+
+test('returns an empty string for empty or non-string input', () => {
+  assert.equal(sanitizeHtml(''), '');
+  assert.equal(sanitizeHtml(null), '');
+  assert.equal(sanitizeHtml(undefined), '');
+  assert.equal(sanitizeHtml(42), '');
+});
+
+test('is what the automation sanitizes generated articles with', () => {
+  VECTORS.forEach(([input]) => {
+    assert.equal(automationSanitizeHtml(input), sanitizeHtml(input));
+  });
+});
+
+test('keeps every heading and image of the published articles', async () => {
+  const articlesPath = path.resolve(__dirname, '../../data/articles.json');
+  const { posts } = JSON.parse(await fs.readFile(articlesPath, 'utf8'));
+  const count = (html, pattern) => (html.match(pattern) || []).length;
+
+  posts.forEach(post => {
+    const output = sanitizeHtml(post.content);
+    assert.equal(count(output, /<h4>/g), count(post.content, /<h4>/g), post.id);
+    assert.equal(count(output, /<img /g), count(post.content, /<img /g), post.id);
+    assert.equal(count(output, /<p>/g), count(post.content, /<p>/g), post.id);
+    assert.equal(sanitizeHtml(output), output, `${post.id} is stable`);
+  });
+});
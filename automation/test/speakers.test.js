@@ -0,0 +1,76 @@
+/**
+ * Simply Nerdy - Speaker Attribution Tests
+ * Speaker labels, sound cues and the host roster in src/speakers.js
+ *
+ * Run with: npm run test:unit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findHost, normalizeSpeaker, attributeSpeakers } from '../src/speakers.js';
+
+const HOSTS = [
+  { name: 'Steven', aliases: ['Steve', 'Host 1'] },
+  { name: 'Alex', aliases: ['Host 2'] }
+];
+
+test('finds roster hosts by name or alias, ignoring case and brackets', () => {
+  assert.equal(findHost('steve', HOSTS).name, 'Steven');
+  assert.equal(findHost('[HOST 2]', HOSTS).name, 'Alex');
+  assert.equal(findHost('Sam', HOSTS), null);
+  assert.equal(normalizeSpeaker('HOST 1', HOSTS), 'Steven');
+  assert.equal(normalizeSpeaker('SPEAKER 3', HOSTS), 'Speaker 3');
+});
+
+test('does not take sound cues for speakers', () => {
+  const result = attributeSpeakers('Steven: hi there\n(Laughs) that was good\nSo anyway we played it.\n[Music]\nIt was fun', HOSTS);
+
+  assert.deepEqual(result.speakers, ['Steven']);
+  assert.equal(result.text, [
+    'Steven: hi there',
+    'Steven: (Laughs) that was good',
+    'Steven: So anyway we played it.',
+    '[Music]',
+    'Steven: It was fun'
+  ].join('\n'));
+});
+
+test('ignores sound cues that repeat', () => {
+  const result = attributeSpeakers('Steven: one\n[Applause] two\n[Applause] three\nMusic: four\nMusic: five', HOSTS);
+  assert.deepEqual(result.speakers, ['Steven']);
+  assert.equal(result.turns, 1);
+});
+
+test('accepts roster, generic and repeated bracketed labels only', () => {
+  const result = attributeSpeakers('[Steve] hello\n[SPEAKER 2] hi\n[Sam] hey\n[Sam] again\n[Note] once', HOSTS);
+
+  assert.deepEqual(result.speakers, ['Steven', 'Speaker 2', 'Sam']);
+  assert.equal(result.text, 'Steven: hello\nSpeaker 2: hi\nSam: hey\nSam: again\nSam: [Note] once');
+});
+
+test('needs a colon label to repeat unless it is a host or generic', () => {
+  const once = attributeSpeakers('Note: this was recorded live.\nWe start with news.', HOSTS);
+  assert.deepEqual(once.speakers, []);
+  assert.equal(once.text, 'Note: this was recorded live.\nWe start with news.');
+
+  const twice = attributeSpeakers('Jordan: first\nGuest: hi\nJordan: second', HOSTS);
+  assert.deepEqual(twice.speakers, ['Jordan', 'Guest']);
+  assert.equal(twice.turns, 3);
+});
+
+test('reads labels after caption timestamps and ">>"', () => {
+  const result = attributeSpeakers('[00:01] Steven: Welcome back\n\n[00:03] >> Host 2: Thanks\n\n[00:05] It is great', HOSTS);
+
+  assert.deepEqual(result.hosts, ['Steven', 'Alex']);
+  assert.equal(result.text, '[00:01] Steven: Welcome back\n\n[00:03] Alex: Thanks\n\n[00:05] Alex: It is great');
+});
+
+test('reads bold Markdown labels', () => {
+  const result = attributeSpeakers('**Steve:** Give it a few hours.', HOSTS);
+  assert.equal(result.text, 'Steven: Give it a few hours.');
+});
+
+test('leaves a transcript without speakers unchanged', () => {
+  const text = 'Just one voice here.\n[Music]\nThe end.';
+  assert.deepEqual(attributeSpeakers(text, HOSTS), { text, speakers: [], hosts: [], turns: 0 });
+});
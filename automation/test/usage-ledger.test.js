@@ -0,0 +1,114 @@
+/**
+ * Simply Nerdy - Usage Ledger Tests
+ * Recording model calls, pricing them and the monthly budget in src/usage-ledger.js
+ *
+ * Run with: npm run test:unit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../src/utils.js';
+import { recordUsage, readUsage, findModelPrice, totalUsage, getBudgetStatus, monthOf } from '../src/usage-ledger.js';
+
+const settings = JSON.parse(await fs.readFile(fileURLToPath(new URL('../config/settings.json', import.meta.url)), 'utf8'));
+
+/**
+ * Run a test body with a fresh ledger file (USAGE_LEDGER_FILE), removed afterwards
+ * @param {Function} body - async (ledgerPath) => void
+ * @returns {Function} Test function
+ */
+function withLedgerFile(body) {
+  return async () => {
+    const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'simply-nerdy-ledger-'));
+    process.env.USAGE_LEDGER_FILE = path.join(folder, 'usage.jsonl');
+    try {
+      await body(process.env.USAGE_LEDGER_FILE);
+    } finally {
+      delete process.env.USAGE_LEDGER_FILE;
+      await fs.rm(folder, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * A ledger entry for a call that costs the given amount with the sonnet price
+ * @param {number} usd - Cost in USD
+ * @param {Object} [fields] - Extra entry fields
+ * @returns {Object} Entry without "at"
+ */
+function callCosting(usd, fields = {}) {
+  const price = settings.modelPrices['claude-sonnet-4-5'];
+  return {
+    provider: 'anthropic',
+    model: 'claude-sonnet-4-5-20250929',
+    purpose: 'article',
+    inputTokens: 0,
+    outputTokens: Math.ceil(usd / price.output * 1e6),
+    retries: 0,
+    latencyMs: 100,
+    ...fields
+  };
+}
+
+test('appends each call with a timestamp and reads them back by month', withLedgerFile(async ledgerPath => {
+  await recordUsage(callCosting(0.01, { job: 'job-1' }));
+  await recordUsage(callCosting(0.02, { job: 'job-2', error: 'overloaded' }));
+  await fs.appendFile(ledgerPath, '{"cut off\n');
+
+  const entries = await readUsage();
+  assert.deepEqual(entries.map(entry => entry.job), ['job-1', 'job-2']);
+  assert.ok(!isNaN(Date.parse(entries[0].at)));
+  assert.equal((await readUsage({ month: monthOf(new Date()) })).length, 2);
+  assert.equal((await readUsage({ month: '1999-01' })).length, 0);
+}));
+
+test('prices dated model names with the longest configured prefix', () => {
+  assert.deepEqual(findModelPrice('claude-3-5-haiku-20241022', settings.modelPrices), settings.modelPrices['claude-3-5-haiku']);
+  assert.deepEqual(findModelPrice('claude-sonnet-4-5-20250929', settings.modelPrices), settings.modelPrices['claude-sonnet-4-5']);
+  assert.equal(findModelPrice('gpt-unknown', settings.modelPrices), null);
+
+  const total = totalUsage([
+    { model: 'claude-sonnet-4-5-20250929', inputTokens: 1e6, outputTokens: 1e6, retries: 1, latencyMs: 10 },
+    { model: 'gpt-unknown', inputTokens: 5, outputTokens: 5, retries: 0, latencyMs: 10 }
+  ], settings.modelPrices);
+  assert.equal(total.cost, settings.modelPrices['claude-sonnet-4-5'].input + settings.modelPrices['claude-sonnet-4-5'].output);
+  assert.deepEqual(total.unpriced, ['gpt-unknown']);
+});
+
+test('warns once about a model without a price', async t => {
+  const warn = t.mock.method(logger, 'warn', () => {});
+  await withLedgerFile(async () => {
+    await recordUsage(callCosting(0.01, { model: 'gpt-unknown' }));
+    await recordUsage(callCosting(0.01, { model: 'gpt-unknown' }));
+    await recordUsage(callCosting(0.01));
+  })();
+
+  const messages = warn.mock.calls.map(call => call.arguments[0]);
+  assert.deepEqual(messages, ['No price in modelPrices for gpt-unknown: its calls count as $0 towards the budget']);
+});
+
+test('reaches the budget with this month\'s real calls only', withLedgerFile(async () => {
+  const budget = settings.monthlyBudgetUsd;
+
+  await recordUsage(callCosting(budget / 2));
+  await recordUsage(callCosting(budget, { dryRun: true }));
+  await recordUsage(callCosting(budget, { provider: 'mock', model: 'mock' }));
+
+  const under = await getBudgetStatus();
+  assert.equal(under.month, monthOf(new Date()));
+  assert.equal(under.budget, budget);
+  assert.ok(Math.abs(under.spent - budget / 2) < 0.01, `spent ${under.spent}`);
+  assert.equal(under.exceeded, false);
+
+  // Next month starts from zero
+  const nextMonth = new Date();
+  nextMonth.setMonth(nextMonth.getMonth() + 1, 1);
+  assert.equal((await getBudgetStatus(nextMonth)).spent, 0);
+
+  await recordUsage(callCosting(budget / 2));
+  assert.equal((await getBudgetStatus()).exceeded, true);
+}));
@@ -44,7 +44,7 @@
             if (!response.ok) throw new Error('Failed to fetch blog posts');
 
             const data = await response.json();
-            blogPosts = data.posts || [];
+            blogPosts = (data.posts || []).filter(isLive);
 
             blogPosts.sort((a, b) => new Date(b.date) - new Date(a.date));
         } catch (error) {
@@ -53,6 +53,13 @@
         }
     }
 
+    // Only published posts go live (posts without a status predate drafts),
+    // and scheduled ones stay hidden until their publishAt time
+    function isLive(post) {
+        if ((post.status || 'published') !== 'published') return false;
+        return !post.publishAt || new Date(post.publishAt) <= new Date();
+    }
+
     function renderBlogPreview() {
         const container = document.getElementById('blog-preview');
         if (!container) return;
@@ -154,11 +161,13 @@
         const safeImage = escapeHtml(post.image);
         const safeCategory = escapeHtml(post.category);
         const safeExcerpt = escapeHtml(post.excerpt);
+        const srcset = imageSrcset(post);
+        const responsive = srcset ? ` srcset="${escapeHtml(srcset)}" sizes="(max-width: 768px) 100vw, 400px"` : '';
 
         return `
             <article class="post-card">
                 <a href="article.html?id=${safeId}" class="post-card-link-wrapper">
-                    <img src="${safeImage}" alt="${safeTitle}" class="post-card-image">
+                    <img src="${safeImage}"${responsive} alt="${safeTitle}" class="post-card-image">
                     <div class="post-card-content">
                         <div class="post-card-meta">
                             <span class="post-card-category">${safeCategory}</span>
@@ -175,6 +184,36 @@
         `;
     }
 
+    // "Photo by <author> on <source> · <license>" under the featured image
+    function renderImageCredit(credit) {
+        const caption = document.getElementById('post-image-credit');
+        if (!caption || !credit || !credit.author) return;
+
+        caption.textContent = '';
+        caption.append('Photo by ', creditLink(credit.author, credit.authorUrl));
+        if (credit.source) caption.append(' on ', creditLink(credit.source, credit.sourceUrl));
+        if (credit.license) caption.append(' · ', creditLink(credit.license, credit.licenseUrl));
+        caption.hidden = false;
+    }
+
+    // Link when the URL is http(s), plain text otherwise
+    function creditLink(text, url) {
+        if (!/^https?:\/\//.test(url || '')) return text;
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.textContent = text;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        return link;
+    }
+
+    // Generated articles save their featured image in several widths
+    function imageSrcset(post) {
+        if (!Array.isArray(post.imageSizes)) return '';
+        return post.imageSizes.map(size => `${size.src} ${size.width}w`).join(', ');
+    }
+
     function renderBlogPost() {
         const urlParams = new URLSearchParams(window.location.search);
         const postId = urlParams.get('id');
@@ -207,9 +246,16 @@
 
         const featuredImage = document.getElementById('post-featured-image');
         featuredImage.src = post.image;
-        featuredImage.alt = post.title;
+        featuredImage.alt = post.imageAlt || post.title;
+        const srcset = imageSrcset(post);
+        if (srcset) {
+            featuredImage.srcset = srcset;
+            featuredImage.sizes = '(max-width: 968px) 100vw, 800px';
+        }
+        renderImageCredit(post.imageCredit);
 
-        document.getElementById('post-content').innerHTML = post.content;
+        document.getElementById('post-content').innerHTML = sanitizeHtml(post.content);
+        renderEpisodeVideo(post);
 
         const tagsContainer = document.getElementById('post-tags');
         tagsContainer.innerHTML = post.tags.map(tag =>
@@ -219,6 +265,55 @@
         renderRelatedPosts(post);
     }
 
+    // Embedded episode player, plus "jump to this part" links beside the
+    // <h4> headings the article has timestamps for (post.sections)
+    function renderEpisodeVideo(post) {
+        const container = document.getElementById('post-video');
+        if (!container || !/^[\w-]{11}$/.test(post.videoId || '')) return;
+
+        const player = document.createElement('iframe');
+        player.src = videoEmbedUrl(post.videoId);
+        player.title = `${post.title} on YouTube`;
+        player.allow = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
+        player.allowFullscreen = true;
+        player.loading = 'lazy';
+        container.appendChild(player);
+        container.hidden = false;
+
+        const headings = Array.from(document.querySelectorAll('#post-content h4'));
+        (post.sections || []).forEach(section => {
+            const heading = headings.find(h => normalizeHeading(h.textContent) === normalizeHeading(section.heading));
+            if (!heading || !Number.isInteger(section.start)) return;
+
+            const link = document.createElement('a');
+            link.className = 'section-jump';
+            link.href = `https://www.youtube.com/watch?v=${post.videoId}&t=${section.start}s`;
+            link.textContent = `▶ Jump to this part (${formatVideoTime(section.start)})`;
+            link.addEventListener('click', event => {
+                event.preventDefault();
+                player.src = videoEmbedUrl(post.videoId, section.start);
+                container.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            });
+            heading.appendChild(link);
+        });
+    }
+
+    function videoEmbedUrl(videoId, start) {
+        const url = `https://www.youtube-nocookie.com/embed/${videoId}`;
+        return start === undefined ? url : `${url}?start=${start}&autoplay=1`;
+    }
+
+    function normalizeHeading(text) {
+        return text.replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    function formatVideoTime(seconds) {
+        const h = Math.floor(seconds / 3600);
+        const mm = String(Math.floor((seconds % 3600) / 60)).padStart(h > 0 ? 2 : 1, '0');
+        const ss = String(seconds % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+    }
+
     function renderRelatedPosts(currentPost) {
         const container = document.getElementById('related-posts-list');
         if (!container) return;
@@ -0,0 +1,345 @@
+/**
+ * Simply Nerdy - HTML Sanitizer
+ * Allowlist sanitizer for article content, used by the site before rendering
+ * and by the automation (from Node) when an article is generated
+ *
+ * The HTML is tokenized and rebuilt from scratch: only the tags and
+ * attributes below are written back, attribute values are re-quoted, text is
+ * re-escaped and URLs must use an allowed scheme once their entities are
+ * decoded. Anything else is dropped; the text inside an unknown tag is kept,
+ * except for tags like <script> and <svg> that go with everything inside them.
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.sanitizeHtml = factory().sanitizeHtml;
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    // The tags of the content guidelines (automation/templates) and figures, with their attributes
+    const ALLOWED_TAGS = {
+        p: [],
+        br: [],
+        h4: [],
+        ul: [],
+        ol: [],
+        li: [],
+        em: [],
+        strong: [],
+        a: ['href', 'title', 'target', 'rel'],
+        img: ['src', 'alt', 'srcset', 'sizes', 'width', 'height', 'loading'],
+        figure: [],
+        figcaption: [],
+        span: ['class']
+    };
+
+    const VOID_TAGS = ['br', 'img'];
+
+    const ALLOWED_CLASSES = ['figure-credit'];
+
+    const URL_SCHEMES = {
+        href: ['http', 'https', 'mailto'],
+        src: ['http', 'https']
+    };
+
+    // Browsers read these as raw text up to the closing tag, so their content is never markup
+    const RAW_TEXT_TAGS = ['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript', 'plaintext'];
+
+    // Dropped along with everything inside them
+    const DROPPED_TAGS = [...RAW_TEXT_TAGS, 'svg', 'math', 'template', 'object', 'applet', 'select'];
+
+    // Entities decoded in URLs: the ones that matter for spotting a scheme, plus the usual ones
+    const NAMED_ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+        colon: ':', semi: ';', comma: ',', period: '.', sol: '/', bsol: '\\',
+        lpar: '(', rpar: ')', excl: '!', quest: '?', num: '#', percnt: '%',
+        equals: '=', plus: '+', lowbar: '_', Tab: '\t', NewLine: '\n'
+    };
+
+    const TAG_NAME = /[^\t\n\f\r />]*/y;
+    const ATTRIBUTE = /[\t\n\f\r /]*(?:([^\t\n\f\r />][^\t\n\f\r />=]*)(?:[\t\n\f\r ]*=[\t\n\f\r ]*(?:"([^"]*)"|'([^']*)'|([^\t\n\f\r >]*)))?)?/y;
+
+    /**
+     * Split HTML into text, start tag and end tag tokens
+     * Follows the browser's tokenizer where it matters: comments, bogus
+     * comments, unquoted and unterminated attributes, and raw text elements.
+     * Comments, doctypes and the content of raw text elements are left out.
+     * @param {string} html - HTML to tokenize
+     * @returns {Object[]} Tokens [{ type: 'text', text } | { type: 'start', name, attributes, selfClosing } | { type: 'end', name }]
+     */
+    function tokenize(html) {
+        const tokens = [];
+        let text = '';
+        let i = 0;
+
+        const pushText = () => {
+            if (text) tokens.push({ type: 'text', text });
+            text = '';
+        };
+
+        while (i < html.length) {
+            const lt = html.indexOf('<', i);
+            if (lt === -1) {
+                text += html.slice(i);
+                break;
+            }
+            text += html.slice(i, lt);
+            i = lt;
+
+            const next = html.charAt(i + 1);
+
+            if (html.startsWith('<!--', i)) {
+                pushText();
+                // "<!-->" and "<!--->" are whole comments; otherwise up to "-->" or "--!>"
+                const abrupt = /^-?>/.exec(html.slice(i + 4));
+                const close = /--!?>/g;
+                close.lastIndex = i + 4;
+                const end = abrupt ? null : close.exec(html);
+                i = abrupt ? i + 4 + abrupt[0].length : end ? end.index + end[0].length : html.length;
+            } else if (next === '!' || next === '?' || (next === '/' && !/[a-zA-Z]/.test(html.charAt(i + 2)))) {
+                // Doctype, processing instruction, CDATA or "</3": a bogus comment up to the next ">"
+                pushText();
+                const end = html.indexOf('>', i + 2);
+                i = end === -1 ? html.length : end + 1;
+            } else if (/[a-zA-Z]/.test(next) || next === '/') {
+                pushText();
+                const tag = readTag(html, i);
+                if (!tag) break; // A tag cut off at the end is dropped, as browsers do
+                tokens.push(tag.token);
+                i = tag.end;
+
+                if (tag.token.type === 'start' && RAW_TEXT_TAGS.includes(tag.token.name)) {
+                    const close = new RegExp(`</${tag.token.name}[\\t\\n\\f\\r />]`, 'ig');
+                    close.lastIndex = i;
+                    const end = tag.token.name === 'plaintext' ? null : close.exec(html);
+                    i = end ? end.index : html.length;
+                }
+            } else {
+                text += '<';
+                i++;
+            }
+        }
+
+        pushText();
+        return tokens;
+    }
+
+    /**
+     * Read a start or end tag
+     * @param {string} html - HTML being tokenized
+     * @param {number} start - Index of the "<"
+     * @returns {Object|null} { token, end } with end just past the ">", or null if the input ends first
+     */
+    function readTag(html, start) {
+        const isEnd = html.charAt(start + 1) === '/';
+        TAG_NAME.lastIndex = start + (isEnd ? 2 : 1);
+        const name = TAG_NAME.exec(html)[0].toLowerCase();
+        const attributes = [];
+        let i = TAG_NAME.lastIndex;
+
+        for (;;) {
+            ATTRIBUTE.lastIndex = i;
+            const match = ATTRIBUTE.exec(html);
+            i = ATTRIBUTE.lastIndex;
+            if (match[1]) {
+                const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] || '';
+                attributes.push([match[1].toLowerCase(), value]);
+            }
+            if (i >= html.length) return null;
+            if (html.charAt(i) === '>') break;
+        }
+
+        const token = isEnd
+            ? { type: 'end', name }
+            : { type: 'start', name, attributes, selfClosing: html.charAt(i - 1) === '/' };
+        return { token, end: i + 1 };
+    }
+
+    /**
+     * Decode character references in an attribute value
+     * Numeric references are decoded with or without the ";", like browsers do.
+     * Named ones not in NAMED_ENTITIES are left as they are.
+     * @param {string} value - Raw attribute value
+     * @returns {string} Decoded value
+     */
+    function decodeEntities(value) {
+        return value.replace(/&(?:#([0-9]+)|#[xX]([0-9a-fA-F]+));?|&([a-zA-Z][a-zA-Z0-9]*);/g, (entity, dec, hex, name) => {
+            if (name) return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : entity;
+            const code = dec !== undefined ? parseInt(dec, 10) : parseInt(hex, 16);
+            const valid = code > 0 && code <= 0x10FFFF && (code < 0xD800 || code > 0xDFFF);
+            return String.fromCodePoint(valid ? code : 0xFFFD);
+        });
+    }
+
+    /**
+     * Escape text, keeping the character references already in it
+     * @param {string} text - Text from the source HTML
+     * @returns {string} Text safe to place between tags
+     */
+    function escapeText(text) {
+        return text
+            .replace(/&(?!(?:[a-zA-Z][a-zA-Z0-9]*|#[0-9]+|#[xX][0-9a-fA-F]+);)/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Escape a decoded value for a double-quoted attribute
+     * @param {string} value - Decoded value
+     * @returns {string} Escaped value
+     */
+    function escapeAttribute(value) {
+        return value
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Check a URL against the allowed schemes
+     * Browsers ignore surrounding spaces and control characters and tabs or
+     * newlines anywhere, so "java\tscript:" is still javascript: to them.
+     * @param {string} value - Decoded URL
+     * @param {string[]} schemes - Allowed schemes
+     * @returns {string|null} The URL as browsers read it, or null if not allowed
+     */
+    function cleanUrl(value, schemes) {
+        const url = value.replace(/[\t\n\r]/g, '').replace(/^[\u0000- ]+|[\u0000- ]+$/g, '');
+        if (/[\u0000-\u001F\u007F]/.test(url)) return null;
+
+        const scheme = url.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+        return !scheme || schemes.includes(scheme[1].toLowerCase()) ? url : null;
+    }
+
+    /**
+     * Check a srcset: every candidate needs an allowed URL and a width or density
+     * @param {string} value - Decoded srcset
+     * @returns {string|null} Normalized srcset, or null if any candidate fails
+     */
+    function cleanSrcset(value) {
+        const candidates = value.split(',').map(candidate => candidate.trim()).filter(Boolean);
+        const cleaned = candidates.map(candidate => {
+            const [url, descriptor, ...rest] = candidate.split(/[\t\n\f\r ]+/);
+            const src = cleanUrl(url, URL_SCHEMES.src);
+            if (src === null || rest.length > 0 || (descriptor && !/^\d+(?:\.\d+)?[wx]$/.test(descriptor))) return null;
+            return descriptor ? `${src} ${descriptor}` : src;
+        });
+
+        return cleaned.length > 0 && !cleaned.includes(null) ? cleaned.join(', ') : null;
+    }
+
+    /**
+     * Keep the allowed attributes of a tag, with safe values
+     * Only the first of repeated attributes counts, as in browsers. Links
+     * that open a new tab always get rel="noopener noreferrer".
+     * @param {string} tag - Tag name (in ALLOWED_TAGS)
+     * @param {Array[]} attributes - [[name, raw value]] in source order
+     * @returns {string|null} Attribute HTML (with a leading space), or null when the tag is unusable (an <img> without a src)
+     */
+    function cleanAttributes(tag, attributes) {
+        const seen = new Set();
+        const kept = {};
+
+        attributes.forEach(([name, raw]) => {
+            if (seen.has(name)) return;
+            seen.add(name);
+            if (!ALLOWED_TAGS[tag].includes(name)) return;
+
+            const value = decodeEntities(raw);
+            let cleaned = null;
+
+            if (name === 'href' || name === 'src') {
+                cleaned = cleanUrl(value, URL_SCHEMES[name]);
+            } else if (name === 'srcset') {
+                cleaned = cleanSrcset(value);
+            } else if (name === 'target') {
+                cleaned = value.trim().toLowerCase() === '_blank' ? '_blank' : null;
+            } else if (name === 'class') {
+                const classes = value.split(/[\t\n\f\r ]+/).filter(cls => ALLOWED_CLASSES.includes(cls));
+                cleaned = classes.length > 0 ? classes.join(' ') : null;
+            } else if (name === 'width' || name === 'height') {
+                cleaned = /^\d+$/.test(value.trim()) ? value.trim() : null;
+            } else if (name === 'loading') {
+                cleaned = ['lazy', 'eager'].includes(value.trim().toLowerCase()) ? value.trim().toLowerCase() : null;
+            } else {
+                cleaned = value;
+            }
+
+            if (cleaned !== null) kept[name] = cleaned;
+        });
+
+        if (tag === 'img' && !kept.src) return null;
+
+        if (kept.target) {
+            const rel = new Set((kept.rel || '').split(/[\t\n\f\r ]+/).filter(Boolean));
+            rel.add('noopener');
+            rel.add('noreferrer');
+            kept.rel = [...rel].join(' ');
+        }
+
+        return Object.keys(kept).map(name => ` ${name}="${escapeAttribute(kept[name])}"`).join('');
+    }
+
+    /**
+     * Sanitize article HTML
+     * Unknown tags are dropped but their text is kept, stray end tags are
+     * dropped and open tags are closed at the end, so the result is always
+     * well-formed and parses the same way everywhere.
+     * @param {string} html - Untrusted HTML
+     * @returns {string} HTML with only allowed tags, attributes and URLs
+     */
+    function sanitizeHtml(html) {
+        if (!html || typeof html !== 'string') {
+            return '';
+        }
+
+        const open = [];
+        let dropping = null;
+        let output = '';
+
+        tokenize(html.replace(/\u0000/g, '')).forEach(token => {
+            if (dropping) {
+                if (token.name === dropping.name) dropping.depth += token.type === 'start' ? 1 : -1;
+                if (dropping.depth === 0) dropping = null;
+                return;
+            }
+
+            if (token.type === 'text') {
+                output += escapeText(token.text);
+            } else if (token.type === 'start') {
+                if (DROPPED_TAGS.includes(token.name)) {
+                    // <svg/> and <math/> close themselves, other tags ignore the "/"
+                    const selfClosed = token.selfClosing && (token.name === 'svg' || token.name === 'math');
+                    if (!selfClosed) dropping = { name: token.name, depth: 1 };
+                    return;
+                }
+                if (!ALLOWED_TAGS[token.name]) return;
+
+                const attributes = cleanAttributes(token.name, token.attributes);
+                if (attributes === null) return;
+
+                output += `<${token.name}${attributes}>`;
+                if (!VOID_TAGS.includes(token.name)) open.push(token.name);
+            } else {
+                const index = open.lastIndexOf(token.name);
+                if (index === -1) return;
+                while (open.length > index) output += `</${open.pop()}>`;
+            }
+        });
+
+        while (open.length > 0) output += `</${open.pop()}>`;
+
+        return output;
+    }
+
+    return {
+        ALLOWED_TAGS,
+        tokenize,
+        decodeEntities,
+        sanitizeHtml
+    };
+});